@@ -0,0 +1,21 @@
+"use strict";
+
+const ejs = require("ejs");
+
+/**
+ * Renders EJS templates (`.ejs`). Includes are resolved relative to the template.
+ */
+class EjsEngine {
+  /**
+	 * Renders the template using the given view.
+	 * @param  {string} template content of the template file
+	 * @param  {{}}     view     data to use when rendering
+	 * @param  {string} file     path of the template file
+	 * @return {string}          the rendered content
+	 */
+  static render(template, view, file) {
+    return ejs.render(template, view, { filename: file });
+  }
+}
+
+module.exports = EjsEngine;
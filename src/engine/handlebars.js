@@ -0,0 +1,64 @@
+"use strict";
+
+const _ = require("lodash");
+const Handlebars = require("handlebars");
+const HelperHandler = require("../util/helper-handler");
+
+// Use an isolated environment so helpers do not leak into other users of handlebars
+const handlebars = Handlebars.create();
+
+/**
+ * Returns the arguments passed to a helper, without the trailing options object.
+ * @param  {[type]} args arguments of the helper call
+ * @return {[type]}      the values passed in the template
+ */
+function values(args) {
+  return Array.prototype.slice.call(args, 0, -1);
+}
+
+handlebars.registerHelper({
+  eq: (a, b) => a === b,
+  ne: (a, b) => a !== b,
+  and: function() {
+    return values(arguments).every(Boolean);
+  },
+  or: function() {
+    return values(arguments).some(Boolean);
+  },
+  not: value => !value,
+  default: (value, defaultValue) =>
+    _.isNil(value) || value === "" ? defaultValue : value,
+  // Same helpers available as functions in the view of every engine
+  base64: value => HelperHandler.base64(value),
+  quote: value => HelperHandler.quote(value),
+  yamlQuote: value => HelperHandler.yamlQuote(value),
+  indent: (value, spaces) => HelperHandler.indent(value, spaces),
+  toYaml: value => HelperHandler.toYaml(value),
+  lowercase: value => HelperHandler.lowercase(value),
+  uppercase: value => HelperHandler.uppercase(value),
+  sha256: value => HelperHandler.sha256(value)
+});
+
+/**
+ * Renders Handlebars templates (`.hbs`, `.handlebars`). Output is not HTML
+ * escaped. Besides the built-in helpers `eq`, `ne`, `and`, `or`, `not`,
+ * `default` and the helpers of HelperHandler are available.
+ */
+class HandlebarsEngine {
+  /**
+	 * Renders the template using the given view.
+	 * @param  {string} template content of the template file
+	 * @param  {{}}     view     data to use when rendering
+	 * @param  {string} file     path of the template file
+	 * @param  {{}}     options  (optional) { partials }
+	 * @return {string}          the rendered content
+	 */
+  static render(template, view, file, options) {
+    options = options || {};
+    return handlebars.compile(template, { noEscape: true })(view, {
+      partials: options.partials
+    });
+  }
+}
+
+module.exports = HandlebarsEngine;
@@ -0,0 +1,28 @@
+"use strict";
+
+const resourceHandler = require("../util/resource-handler");
+
+/**
+ * Renders Mustache templates, the default engine for `.mustache` files. In
+ * strict mode variables resolving to undefined fail the render.
+ */
+class MustacheEngine {
+  /**
+	 * Renders the template using the given view.
+	 * @param  {string} template content of the template file
+	 * @param  {{}}     view     data to use when rendering
+	 * @param  {string} file     path of the template file
+	 * @param  {{}}     options  (optional) { partials, strict }
+	 * @return {string}          the rendered content
+	 */
+  static render(template, view, file, options) {
+    options = options || {};
+    return resourceHandler.render(template, view, {
+      partials: options.partials,
+      file: file,
+      strict: options.strict
+    });
+  }
+}
+
+module.exports = MustacheEngine;
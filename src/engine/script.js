@@ -0,0 +1,37 @@
+"use strict";
+
+const _ = require("lodash");
+const path = require("path");
+const yaml = require("js-yaml");
+
+/**
+ * Renders JS modules (`.js`) exporting a `render(config, options)` function,
+ * options contains the `partials`. The function can return the manifest as a string, an object or an array of objects, objects
+ * are converted to YAML.
+ */
+class ScriptEngine {
+  /**
+	 * Loads the module and calls its render function using the given view.
+	 * @param  {string} template content of the module, not used
+	 * @param  {{}}     view     data to use when rendering
+	 * @param  {string} file     path of the module
+	 * @param  {{}}     options  (optional) { partials }
+	 * @return {string}          the rendered content
+	 */
+  static render(template, view, file, options) {
+    const script = require(path.resolve(file));
+    if (!_.isFunction(script.render)) {
+      throw new Error(`${file} does not export a render function`);
+    }
+    const result = script.render(view, options || {});
+    if (_.isString(result)) {
+      return result;
+    }
+    if (_.isArray(result)) {
+      return result.map(doc => yaml.safeDump(doc)).join("---\n");
+    }
+    return yaml.safeDump(result);
+  }
+}
+
+module.exports = ScriptEngine;
@@ -0,0 +1,45 @@
+"use strict";
+
+const Promise = require("bluebird");
+
+// Values of enabled flags
+const enabledValues = ["true", "1", "yes", "on"];
+
+/**
+ * Feature flags read from environment variables. The variable of a flag is its
+ * name in upper case, prefixed and with any other character than letters and
+ * digits replaced by `_`, ie: FLAG_KIT_DEPLOYMENTIZER_78_IMAGE_SHA. Flags are
+ * enabled by `true`, `1`, `yes` or `on`.
+ *
+ * Options:
+ *  - prefix: of the variables, defaults to FLAG_
+ */
+class EnvFlags {
+  /**
+	 * @param  {{}} options see above
+	 */
+  constructor(options) {
+    this.prefix = options.prefix === undefined ? "FLAG_" : options.prefix;
+  }
+
+  /**
+	 * Returns the name of the environment variable of a flag.
+	 * @param  {string} flag name of the flag
+	 * @return {string}      name of the variable
+	 */
+  variable(flag) {
+    return `${this.prefix}${flag}`.toUpperCase().replace(/[^A-Z0-9]/g, "_");
+  }
+
+  /**
+	 * Returns if the flag is enabled.
+	 * @param  {string} flag name of the flag
+	 * @return {[type]}      Promise fulfilled with true if enabled
+	 */
+  toggle(flag) {
+    const value = process.env[this.variable(flag)] || "";
+    return Promise.resolve(enabledValues.indexOf(value.toLowerCase()) !== -1);
+  }
+}
+
+module.exports = EnvFlags;
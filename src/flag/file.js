@@ -0,0 +1,41 @@
+"use strict";
+
+const _ = require("lodash");
+const Promise = require("bluebird");
+const fse = require("fs-extra");
+const fseReadJson = Promise.promisify(fse.readJson);
+
+/**
+ * Feature flags read from a JSON file mapping flag names to their enabled
+ * state, ie: { "kit-deploymentizer-78-image-sha": true }. Flags not listed are
+ * disabled. The file is read once.
+ *
+ * Options:
+ *  - path: of the JSON file - required
+ */
+class FileFlags {
+  /**
+	 * @param  {{}} options see above
+	 */
+  constructor(options) {
+    if (!options.path) {
+      throw new Error("The path is a required configuration value.");
+    }
+    this.path = options.path;
+    this.flags = undefined;
+  }
+
+  /**
+	 * Returns if the flag is enabled.
+	 * @param  {string} flag name of the flag
+	 * @return {[type]}      Promise fulfilled with true if enabled
+	 */
+  toggle(flag) {
+    if (!this.flags) {
+      this.flags = fseReadJson(this.path);
+    }
+    return this.flags.then(flags => _.get(flags, [flag]) === true);
+  }
+}
+
+module.exports = FileFlags;
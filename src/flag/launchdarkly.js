@@ -0,0 +1,37 @@
+"use strict";
+
+const Promise = require("bluebird");
+
+/**
+ * Feature flags of LaunchDarkly, through a client with a `toggle(flag)` method
+ * returning a Promise of the state of the flag.
+ *
+ * Options:
+ *  - client: the LaunchDarkly client - required, when using the deploymentizer as
+ *    npm module it is the `launchDarkly` option
+ */
+class LaunchDarklyFlags {
+  /**
+	 * @param  {{}} options see above
+	 */
+  constructor(options) {
+    if (!options.client) {
+      throw new Error(
+        "The LaunchDarkly client is a required configuration value."
+      );
+    }
+    this.client = options.client;
+  }
+
+  /**
+	 * Returns if the flag is enabled.
+	 * @param  {string} flag name of the flag
+	 * @return {[type]}      Promise fulfilled with true if enabled
+	 */
+  toggle(flag) {
+    // Convert to a Bluebird Promise since we dont know what type we will get back.
+    return Promise.resolve(this.client.toggle(flag));
+  }
+}
+
+module.exports = LaunchDarklyFlags;
@@ -0,0 +1,30 @@
+"use strict";
+
+const _ = require("lodash");
+const Promise = require("bluebird");
+
+/**
+ * Feature flags set in the configuration, flags not listed are disabled.
+ *
+ * Options:
+ *  - flags: enabled state by flag name, ie: { kit-deploymentizer-78-image-sha: true }
+ */
+class StaticFlags {
+  /**
+	 * @param  {{}} options see above
+	 */
+  constructor(options) {
+    this.flags = options.flags || {};
+  }
+
+  /**
+	 * Returns if the flag is enabled.
+	 * @param  {string} flag name of the flag
+	 * @return {[type]}      Promise fulfilled with true if enabled
+	 */
+  toggle(flag) {
+    return Promise.resolve(_.get(this.flags, [flag]) === true);
+  }
+}
+
+module.exports = StaticFlags;
@@ -77,6 +77,29 @@ class ClusterDefinition {
     );
   }
 
+  /**
+	 * If true, template variables that can not be resolved fail the resource.
+	 */
+  strict() {
+    return this.cluster.metadata.strict === true;
+  }
+
+  /**
+	 * Kubernetes namespace of the cluster, set on the rendered objects that do
+	 * not define one. Resources can override it.
+	 * @return {string} namespace name, undefined if not set
+	 */
+  namespace() {
+    return this.cluster.metadata.namespace;
+  }
+
+  /**
+	 * If true, a Namespace manifest is generated for the namespace of the cluster.
+	 */
+  createNamespace() {
+    return this.cluster.metadata.createNamespace === true;
+  }
+
   /**
 	 * Resources for this cluster
 	 * @return { "resource-name": data, ...} resource map by name
@@ -4,16 +4,37 @@ const _ = require("lodash");
 const path = require("path");
 const Promise = require("bluebird");
 const Generator = require("./generator");
+const ClusterDefinition = require("./cluster-definition");
 const yamlHandler = require("../util/yaml-handler");
+const DiffHandler = require("../util/diff-handler");
+const SchemaHandler = require("../util/schema-handler");
 const EventHandler = require("../util/event-handler");
 const PluginHandler = require("../util/plugin-handler");
+const EngineHandler = require("../util/engine-handler");
+const ResolverHandler = require("../util/resolver-handler");
+const FlagHandler = require("../util/flag-handler");
+const WorkQueue = require("../util/work-queue");
+const ProvenanceHandler = require("../util/provenance-handler");
+const CacheHandler = require("../util/cache-handler");
+const KustomizeHandler = require("../util/kustomize-handler");
+const HelmHandler = require("../util/helm-handler");
 const logger = require("log4js").getLogger();
+const yaml = require("js-yaml");
 const fse = require("fs-extra");
 const fseRemove = Promise.promisify(fse.remove);
+const fseReadFile = Promise.promisify(fse.readFile);
+const fseOutputFile = Promise.promisify(fse.outputFile);
+const fseReadDir = Promise.promisify(fse.readdir);
+const fseStat = Promise.promisify(fse.stat);
 const request = require("request-promise");
 const errors = require("request-promise/errors");
 const ElroySync = require("./elroy-sync");
 
+// Directory of the kustomize base in the output path
+const kustomizeBaseName = "base";
+// Extensions of the files generated in the output formats
+const manifestExtensions = [".yaml", ".json"];
+
 logger.setLevel(process.env.DEBUG === "true" ? "DEBUG" : "ERROR");
 
 const resolve = function(workdir, pathStr) {
@@ -23,6 +44,38 @@ const resolve = function(workdir, pathStr) {
   return path.resolve(workdir, pathStr);
 };
 
+/**
+ * Returns the view a resource is rendered with, without the template helpers.
+ * @param	{[type]} generator		of the cluster
+ * @param	{[type]} def					cluster definition
+ * @param	{string} resourceName name of the resource
+ * @param	{[type]} resource			the resource
+ * @return {[type]}							 Promise fulfilled with the view
+ */
+const chartView = function(generator, def, resourceName, resource) {
+  return generator
+    ._createLocalConfiguration(def.configuration(), resourceName, resource)
+    .then(view => JSON.parse(JSON.stringify(view)));
+};
+
+/**
+ * Returns the paths of the templates a resource and its services are rendered with.
+ * @param	{[type]} generator of the cluster
+ * @param	{[type]} resource	the resource
+ * @return {[type]}					 Promise fulfilled with the list of paths
+ */
+const templatePaths = function(generator, resource) {
+  return Promise.all(
+    Generator.resourceFiles(resource)
+      .map(entry => path.join(generator.options.basePath, entry.file))
+      .concat(
+        _.castArray(resource.svc || []).map(svc =>
+          generator.serviceTemplate(svc)
+        )
+      )
+  );
+};
+
 /**
  * Main class used to process deployment files converting templates into deployable manifests.
  */
@@ -42,24 +95,51 @@ class Deploymentizer {
       elroySecret: args.elroySecret || null,
       clean: args.clean || false,
       save: args.save || false,
+      diff: args.diff || false,
+      strict: args.strict || false,
+      concurrency: args.concurrency || undefined,
+      force: args.force || false,
+      prune: args.prune || false,
       workdir: args.workdir || "",
       configPlugin: undefined,
       conf: undefined,
+      confPath: args.confPath || undefined,
       resource: args.resource || undefined,
       clusterType: args.clusterType || undefined,
       clusterName: args.clusterName || undefined,
       deployId: args.deployId || undefined,
       fastRollback: args.fastRollback || false,
       commitId: args.commitId || undefined,
-      launchDarkly: args.launchDarkly || undefined
+      launchDarkly: args.launchDarkly || undefined,
+      kubernetesVersion: undefined,
+      schemaPath: undefined,
+      engines: undefined,
+      layout: undefined,
+      format: undefined,
+      enrich: undefined,
+      imageResolver: undefined,
+      pinDigests: false,
+      imageNaming: undefined,
+      imagePolicy: undefined,
+      flags: undefined
     };
     this.options.conf = this.parseConf(args.conf);
     this.events = new EventHandler();
+    // resources are queued across clusters, so at most `concurrency` of them
+    // fetch their configuration at once
+    this.resourceQueue = this.options.concurrency
+      ? new WorkQueue(this.options.concurrency)
+      : undefined;
+    // Time spent generating each cluster, by cluster name
+    this.timings = {};
   }
 
   /**
 	 * Main entrypoint. Handles loading var files and cluster definitions. These
 	 * are merged before rendering the deployment manifests.
+	 *
+	 * When diff is enabled nothing is cleaned, saved or synced, the Promise is
+	 * fulfilled with the comparison results for each processed cluster.
 	 */
   process() {
     return Promise.coroutine(function*() {
@@ -83,13 +163,117 @@ class Deploymentizer {
         );
       }
 
-      if (this.options.clean) {
+      const errors = yield this.validate();
+      if (errors.length > 0) {
+        throw new Error(`Validation failed:\n${errors.join("\n")}`);
+      }
+
+      if (this.options.clean && !this.options.diff) {
         this.events.emitDebug(
           `Cleaning: ${path.join(this.paths.output, "/*")}`
         );
         yield fseRemove(path.join(this.paths.output, "/*"));
       }
 
+      const definitions = yield this.loadDefinitions();
+      const baseClusterDef = definitions.baseClusterDef;
+      const typeDefinitions = definitions.typeDefinitions;
+      const imageResources = definitions.imageResources;
+      const configPlugin = definitions.configPlugin;
+      const engines = definitions.engines;
+      const clusterDefs = definitions.clusterDefs;
+
+      if (
+        this.options.elroyUrl &&
+        this.options.elroySecret &&
+        this.options.elroyOnly &&
+        !this.options.diff
+      ) {
+        this.events.emitInfo(`Saving to elroy is enabled`);
+        if (this.options.clusterName || this.options.clusterType) {
+          this.events.emitInfo(
+            `Skipping deactivating clusters since clusterType ${this.options
+              .clusterType} or clusterName ${this.options.clusterName} is set`
+          );
+        } else {
+          this.events.emitInfo(`Checking for environments to deactivate`);
+          yield ElroySync.RemoveDeploymentEnvironments(
+            clusterDefs,
+            this.events,
+            this.options
+          );
+        }
+      } else {
+        this.events.emitInfo(`Syncing active clusters to elroy is disabled...`);
+      }
+      //Merge the definitions, render templates and save (if enabled)
+      this.timings = {};
+      let base = undefined;
+      if (this.options.format === "kustomize" && !this.options.elroyOnly) {
+        if (_.some(clusterDefs, def => def.name() === kustomizeBaseName)) {
+          throw new Error(
+            `Cluster ${kustomizeBaseName} conflicts with the kustomize base`
+          );
+        }
+        base = yield this.processKustomizeBase(
+          baseClusterDef,
+          imageResources,
+          engines
+        );
+      }
+      const queue = new WorkQueue(this.options.concurrency);
+      // wait for every cluster, so none is stopped in the middle of replacing
+      // its output, before failing with the first error
+      const settled = yield Promise.all(
+        clusterDefs.map(clusterDef =>
+          queue
+            .push(() =>
+              this.processClusterDef(
+                clusterDef,
+                typeDefinitions,
+                baseClusterDef,
+                imageResources,
+                configPlugin,
+                engines,
+                base ? base.files : undefined
+              )
+            )
+            .reflect()
+        )
+      );
+      const failure = _.find(settled, result => result.isRejected());
+      if (failure) {
+        throw failure.reason();
+      }
+      let results = settled.map(result => result.value());
+      if (base && base.diff) {
+        results.unshift(base.diff);
+      }
+      this.events.emitInfo(`Finished processing files...`);
+      if (
+        this.options.prune &&
+        this.options.save &&
+        !this.options.diff &&
+        !this.options.elroyOnly
+      ) {
+        yield this.pruneClusters(clusterDefs);
+      }
+      this.reportTimings();
+      if (this.options.diff) {
+        return _.filter(results, result => result && result.cluster);
+      }
+    }).bind(this)();
+  }
+
+  /**
+	 * Loads the base, type, image and cluster definitions, the configuration
+	 * plugin and the template engines with their partials. The image resolver
+	 * and the feature flag provider shared by the generators are created as well.
+	 * @return {[type]} Promise fulfilled with { baseClusterDef, typeDefinitions,
+	 *									imageResources, configPlugin, engines, clusterDefs }
+	 */
+  loadDefinitions() {
+    return Promise.coroutine(function*() {
       this.events.emitDebug(
         `Loading base cluster definitions from: ${this.paths.base}`
       );
@@ -107,61 +291,533 @@ class Deploymentizer {
         this.paths.images
       );
 
+      const resolver = this.options.imageResolver || { name: "file" };
+      this.imageResolver = new ResolverHandler(
+        resolver.name,
+        _.assign({}, resolver.options, {
+          images: imageResources,
+          events: this.events
+        })
+      );
+
+      // a LaunchDarkly client given as option is used if no provider is configured
+      const flags =
+        this.options.flags ||
+        (this.options.launchDarkly ? { provider: "launchdarkly" } : undefined);
+      this.flags = undefined;
+      if (flags) {
+        this.flags = new FlagHandler(
+          flags.provider,
+          flags.provider === "launchdarkly"
+            ? _.assign({ client: this.options.launchDarkly }, flags.options)
+            : flags.options,
+          flags.names
+        );
+      }
+
       let configPlugin = undefined;
       if (this.options.configPlugin) {
         let pluginOpts = this.options.configPlugin.options;
         pluginOpts.events = this.events;
+        pluginOpts.flags = this.flags;
+        // kept for plugins reading the client itself
         pluginOpts.launchDarkly = this.options.launchDarkly;
         configPlugin = new PluginHandler(
           this.options.configPlugin.path,
           pluginOpts
         );
       }
+      let partials = undefined;
+      if (this.paths.partials) {
+        this.events.emitDebug(`Loading partials from: ${this.paths.partials}`);
+        partials = yield EngineHandler.loadPartials(this.paths.partials);
+      }
+      const engines = new EngineHandler(this.options.engines, partials);
       // Load the /cluster 'cluster.yaml' and 'configuration-var.yaml'
       const clusterDefs = yield yamlHandler.loadClusterDefinitions(
         this.paths.cluster
       );
+      return {
+        baseClusterDef: baseClusterDef,
+        typeDefinitions: typeDefinitions,
+        imageResources: imageResources,
+        configPlugin: configPlugin,
+        engines: engines,
+        clusterDefs: clusterDefs
+      };
+    }).bind(this)();
+  }
 
-      if (
-        this.options.elroyUrl &&
-        this.options.elroySecret &&
-        this.options.elroyOnly
-      ) {
-        this.events.emitInfo(`Saving to elroy is enabled`);
-        if (this.options.clusterName || this.options.clusterType) {
+  /**
+	 * Exports the definitions as a Helm chart, so the same configuration can be
+	 * installed with helm. The chart directory contains:
+	 *  - Chart.yaml, the chart is named after the directory
+	 *  - values.yaml, the base-var.yaml configuration and, under `resources`, the
+	 *    values of each resource of the base-cluster.yaml
+	 *  - values-[CLUSTER].yaml, the same for each enabled cluster once merged with
+	 *    its type and the base, including the configuration plugin values
+	 *  - templates/[NAME].yaml, the resource and service templates of the base
+	 *    converted to Go templates, see HelmHandler
+	 * Only Mustache templates can be converted, templates of other engines are
+	 * skipped with a warning.
+	 * @param	{string} chartDir directory to export the chart to
+	 * @return {[type]}					Promise fulfilled once exported
+	 */
+  exportChart(chartDir) {
+    return Promise.coroutine(function*() {
+      const errors = yield this.validate();
+      if (errors.length > 0) {
+        throw new Error(`Validation failed:\n${errors.join("\n")}`);
+      }
+      const definitions = yield this.loadDefinitions();
+      const baseClusterDef = definitions.baseClusterDef;
+      const engines = definitions.engines;
+      const baseGenerator = this.createGenerator(
+        baseClusterDef,
+        definitions.imageResources,
+        undefined,
+        engines
+      );
+      const baseResources = baseClusterDef.resources();
+      let files = {
+        "Chart.yaml": HelmHandler.chart(path.basename(chartDir))
+      };
+      let views = {};
+      let baseTemplates = {};
+      const resourceNames = Object.keys(baseResources).sort();
+      for (let i = 0; i < resourceNames.length; i++) {
+        const resourceName = resourceNames[i];
+        const resource = baseResources[resourceName];
+        const view = yield chartView(
+          baseGenerator,
+          baseClusterDef,
+          resourceName,
+          resource
+        );
+        views[resourceName] = resource.disable === true ? false : view;
+        baseTemplates[resourceName] = yield templatePaths(
+          baseGenerator,
+          resource
+        );
+        const templates = yield this.exportTemplates(
+          baseGenerator,
+          resourceName,
+          resource,
+          view
+        );
+        Object.keys(templates).forEach(name => {
+          const file = `templates/${name}.yaml`;
+          if (files[file]) {
+            throw new Error(`Template ${name} is exported more than once`);
+          }
+          files[file] = templates[name];
+        });
+      }
+      const values = HelmHandler.values(baseClusterDef.configuration(), views);
+      files["values.yaml"] = yaml.safeDump(values);
+
+      const clusterDefs = definitions.clusterDefs;
+      for (let i = 0; i < clusterDefs.length; i++) {
+        const def = clusterDefs[i];
+        const type = definitions.typeDefinitions[def.type()];
+        if (!type) {
+          throw new Error(`UnSupported Type ${def.type()}`);
+        }
+        // Merge the type definition then the base definition
+        def.apply(type);
+        def.apply(baseClusterDef);
+        if (def.disabled()) {
           this.events.emitInfo(
-            `Skipping deactivating clusters since clusterType ${this.options
-              .clusterType} or clusterName ${this.options.clusterName} is set`
+            `Cluster ${def.name()} is disabled, skipping...`
           );
-        } else {
-          this.events.emitInfo(`Checking for environments to deactivate`);
-          yield ElroySync.RemoveDeploymentEnvironments(
-            clusterDefs,
-            this.events,
-            this.options
+          continue;
+        }
+        const generator = this.createGenerator(
+          def,
+          definitions.imageResources,
+          definitions.configPlugin,
+          engines
+        );
+        let clusterViews = {};
+        const resources = def.resources();
+        const names = Object.keys(resources).sort();
+        for (let j = 0; j < names.length; j++) {
+          const resourceName = names[j];
+          const resource = resources[resourceName];
+          if (!baseResources[resourceName]) {
+            this.events.emitWarn(
+              `Resource ${resourceName} of cluster ${def.name()} is not defined in the base, it is not exported`
+            );
+            continue;
+          }
+          if (resource.disable === true) {
+            clusterViews[resourceName] = false;
+            continue;
+          }
+          if (
+            !_.isEqual(
+              yield templatePaths(generator, resource),
+              baseTemplates[resourceName]
+            )
+          ) {
+            this.events.emitWarn(
+              `Resource ${resourceName} of cluster ${def.name()} uses other templates than the base, the base templates are exported`
+            );
+          }
+          try {
+            clusterViews[resourceName] = yield chartView(
+              generator,
+              def,
+              resourceName,
+              resource
+            );
+          } catch (err) {
+            if (!def.allowFailure()) {
+              throw err;
+            }
+            // not generated for the cluster either
+            this.events.emitWarn(err.message);
+            clusterViews[resourceName] = false;
+          }
+        }
+        files[`values-${def.name()}.yaml`] = yaml.safeDump(
+          HelmHandler.values(
+            def.configuration(),
+            clusterViews,
+            values.resources
+          )
+        );
+      }
+
+      // templates of removed resources must not be installed
+      yield fseRemove(path.join(chartDir, "templates"));
+      const fileNames = Object.keys(files).sort();
+      for (let i = 0; i < fileNames.length; i++) {
+        yield fseOutputFile(
+          path.join(chartDir, fileNames[i]),
+          files[fileNames[i]]
+        );
+      }
+      this.events.emitInfo(
+        `Exported chart ${path.basename(chartDir)} to ${chartDir}`
+      );
+    }).bind(this)();
+  }
+
+  /**
+	 * Converts the templates of a resource, and of its services, to chart templates.
+	 * @param	{[type]} generator		used to find the service templates
+	 * @param	{string} resourceName name of the resource
+	 * @param	{[type]} resource			to export the templates of
+	 * @param	{{}}		 view					rendering view of the resource in the base
+	 * @return {[type]}							 Promise fulfilled with a map of file name to chart template
+	 */
+  exportTemplates(generator, resourceName, resource, view) {
+    return Promise.coroutine(function*() {
+      const engines = generator.engines;
+      const mustache = engines.engineFor("template.mustache");
+      let templates = {};
+      const convert = (file, engine, svcIndex, sample) => {
+        return fseReadFile(file, "utf8").then(content => {
+          let body;
+          if (path.extname(file) === ".yaml") {
+            body = HelmHandler.escape(content);
+          } else if (engines.engineFor(file, engine) !== mustache) {
+            this.events.emitWarn(
+              `Template ${file} does not use Mustache, it is not exported`
+            );
+            return undefined;
+          } else {
+            try {
+              body = HelmHandler.convert(content, {
+                expr: "$r",
+                sample: sample,
+                partials: engines.partials
+              });
+            } catch (err) {
+              throw new Error(`${file}: ${err.message}`);
+            }
+          }
+          return (
+            HelmHandler.header(resourceName, svcIndex) +
+            body +
+            HelmHandler.footer()
           );
+        });
+      };
+      const files = Generator.resourceFiles(resource);
+      for (let i = 0; i < files.length; i++) {
+        const template = yield convert(
+          path.join(this.paths.resources, files[i].file),
+          files[i].engine,
+          undefined,
+          view
+        );
+        if (template !== undefined) {
+          templates[files[i].name] = template;
         }
-      } else {
-        this.events.emitInfo(`Syncing active clusters to elroy is disabled...`);
       }
-      //Merge the definitions, render templates and save (if enabled)
-      let processClusters = [];
-      for (let i = 0; i < clusterDefs.length; i++) {
-        processClusters.push(
-          this.processClusterDef(
-            clusterDefs[i],
-            typeDefinitions,
-            baseClusterDef,
-            imageResources,
-            configPlugin
-          )
+      if (resource.svc) {
+        const services = _.castArray(resource.svc);
+        for (let i = 0; i < services.length; i++) {
+          const template = yield convert(
+            yield generator.serviceTemplate(services[i]),
+            services[i].engine,
+            _.isArray(resource.svc) ? i : undefined,
+            _.assign({}, view, { svc: view.svc && _.castArray(view.svc)[i] })
+          );
+          if (template !== undefined) {
+            templates[services[i].name] = template;
+          }
+        }
+      }
+      return templates;
+    }).bind(this)();
+  }
+
+  /**
+	 * Renders the base-cluster.yaml into the `base` directory of the kustomize
+	 * layout, the overlay of each cluster patches it. The configuration plugin is
+	 * not used for the base, its values end up in the patches of the clusters.
+	 * @param	{[type]} baseClusterDef Base Cluster Definition
+	 * @param	{[type]} imageResources ImageResource Map
+	 * @param	{[type]} engines				EngineHandler used to render templates
+	 * @return {[type]}								Promise fulfilled with { files, diff } the
+	 *																content rendered by file name and the diff result
+	 */
+  processKustomizeBase(baseClusterDef, imageResources, engines) {
+    return Promise.coroutine(function*() {
+      const def = new ClusterDefinition(
+        _.merge(_.cloneDeep(baseClusterDef.cluster), {
+          metadata: { name: kustomizeBaseName }
+        }),
+        _.cloneDeep(baseClusterDef.rsConfig)
+      );
+      const generator = this.createGenerator(
+        def,
+        imageResources,
+        undefined,
+        engines
+      );
+      yield generator.process();
+      let diff = undefined;
+      if (this.options.diff) {
+        diff = yield DiffHandler.compare(
+          def.name(),
+          path.join(this.paths.output, def.name()),
+          generator.files,
+          true
         );
       }
-      yield Promise.all(processClusters);
-      this.events.emitInfo(`Finished processing files...`);
+      return {
+        files: _.mapValues(
+          _.omit(generator.files, KustomizeHandler.fileName),
+          "content"
+        ),
+        diff: diff
+      };
     }).bind(this)();
   }
 
+  /**
+	 * Creates the generator of a cluster with the current options.
+	 * @param	{[type]} def						Cluster Definition
+	 * @param	{[type]} imageResources ImageResource Map
+	 * @param	{[type]} configPlugin		(optional) plugin loading configuration
+	 * @param	{[type]} engines				EngineHandler used to render templates
+	 * @param	{[type]} kustomizeBase	(optional) content rendered for the kustomize base
+	 * @return {[type]}								the Generator
+	 */
+  createGenerator(def, imageResources, configPlugin, engines, kustomizeBase) {
+    return new Generator(
+      def,
+      imageResources,
+      this.paths.resources,
+      this.paths.output,
+      this.options.save && !this.options.diff,
+      configPlugin,
+      this.options.resource,
+      this.events,
+      this.options.deployId,
+      this.options.fastRollback,
+      this.options.commitId,
+      this.flags,
+      {
+        concurrency: this.options.concurrency,
+        queue: this.resourceQueue,
+        kubernetesVersion: this.options.kubernetesVersion,
+        schemaPath: this.options.schemaPath,
+        engines: engines,
+        strict: this.options.strict,
+        force: this.options.force,
+        layout: this.options.layout,
+        format: this.options.format,
+        kustomizeBase: kustomizeBase,
+        enrich: this.options.enrich,
+        imageResolver: this.imageResolver,
+        pinDigests: this.options.pinDigests,
+        imageNaming: this.options.imageNaming,
+        imagePolicy: this.options.imagePolicy
+      }
+    );
+  }
+
+  /**
+	 * Validates the conf and every file loaded from the configured paths against
+	 * the schemas matching the conf version. Nothing is rendered.
+	 *
+	 * Returns a Promise fulfilled with the list of errors found, each containing
+	 * the file path and the key path of the invalid value.
+	 */
+  validate() {
+    return Promise.coroutine(function*() {
+      const conf = this.options.conf;
+      const version = conf.version || SchemaHandler.defaultVersion;
+      this.events.emitDebug(`Validating files using schema version ${version}`);
+      let errors = SchemaHandler.validate(
+        "kit",
+        conf,
+        this.options.confPath || "kit.yaml",
+        version
+      );
+      const files = yield yamlHandler.findDefinitionFiles(this.paths);
+      for (let i = 0; i < files.length; i++) {
+        const file = files[i].file;
+        let doc;
+        try {
+          doc = yield yamlHandler.loadFile(file);
+        } catch (err) {
+          errors.push(`${file}: ${err.message}`);
+          continue;
+        }
+        errors = errors.concat(
+          SchemaHandler.validate(files[i].schema, doc, file, version)
+        );
+      }
+      this.events.emitInfo(
+        `Validated ${files.length} files, found ${errors.length} errors`
+      );
+      return errors;
+    }).bind(this)();
+  }
+
+  /**
+	 * Writes the `manifest.json` of a generated cluster, listing the provenance of
+	 * every file written by the generator. Entries of resources skipped by the
+	 * build cache, or not selected by `resource`, are kept from the previous
+	 * manifest.
+	 * @param	{[type]} def			 cluster definition that was generated
+	 * @param	{[type]} generator used to generate the cluster
+	 * @return {[type]}					 Promise fulfilled once saved
+	 */
+  writeManifest(def, generator) {
+    return Promise.coroutine(function*() {
+      const dir = generator.outputPath;
+      const previous = yield ProvenanceHandler.load(dir);
+      const manifest = ProvenanceHandler.create(def.name(), generator.files, {
+        commitId: this.options.commitId,
+        deployId: this.options.deployId,
+        previous: previous,
+        keep: resourceName =>
+          _.includes(generator.skipped, resourceName) ||
+          (!!this.options.resource && resourceName !== this.options.resource)
+      });
+      this.events.emitDebug(
+        `Saving ${ProvenanceHandler.fileName} for cluster ${def.name()}`
+      );
+      yield ProvenanceHandler.save(dir, manifest);
+    }).bind(this)();
+  }
+
+  /**
+	 * Deletes the manifests of a cluster directory that were not produced by the
+	 * generator, ie: of resources that were disabled or removed. Files of
+	 * resources skipped by the build cache are kept. Nothing is deleted when a
+	 * single resource was generated or any resource failed.
+	 * @param	{[type]} def			 cluster definition that was generated
+	 * @param	{[type]} generator used to generate the cluster
+	 * @return {[type]}					 Promise fulfilled once pruned
+	 */
+  pruneCluster(def, generator) {
+    return Promise.coroutine(function*() {
+      if (this.options.resource) {
+        return;
+      }
+      if (generator.failed.length > 0) {
+        this.events.emitWarn(
+          `Not pruning cluster ${def.name()}, resources ${generator.failed.join(
+            ", "
+          )} failed`
+        );
+        return;
+      }
+      let produced = Object.keys(generator.files);
+      generator.skipped.forEach(resourceName => {
+        produced = produced.concat(generator.cache.get(resourceName).files);
+      });
+      const dir = generator.outputPath;
+      const files = yield fseReadDir(dir);
+      for (let i = 0; i < files.length; i++) {
+        const file = files[i];
+        if (
+          _.includes(manifestExtensions, path.extname(file)) &&
+          file !== ProvenanceHandler.fileName &&
+          file !== CacheHandler.fileName &&
+          !_.includes(produced, file)
+        ) {
+          this.events.emitInfo(`Pruning ${file} from cluster ${def.name()}`);
+          yield fseRemove(path.join(dir, file));
+        }
+      }
+    }).bind(this)();
+  }
+
+  /**
+	 * Deletes the directories of clusters that no longer exist or are disabled.
+	 * @param	{[type]} clusterDefs all cluster definitions
+	 * @return {[type]}						 Promise fulfilled once pruned
+	 */
+  pruneClusters(clusterDefs) {
+    return Promise.coroutine(function*() {
+      let active = clusterDefs
+        .filter(def => !def.disabled())
+        .map(def => def.name());
+      if (this.options.format === "kustomize") {
+        active.push(kustomizeBaseName);
+      }
+      const entries = yield fseReadDir(this.paths.output);
+      for (let i = 0; i < entries.length; i++) {
+        const dir = path.join(this.paths.output, entries[i]);
+        if (
+          !_.includes(active, entries[i]) &&
+          (yield fseStat(dir)).isDirectory()
+        ) {
+          this.events.emitInfo(`Pruning directory of cluster ${entries[i]}`);
+          yield fseRemove(dir);
+        }
+      }
+    }).bind(this)();
+  }
+
+  /**
+	 * Reports the time spent generating each cluster, slowest first.
+	 */
+  reportTimings() {
+    const names = _.sortBy(
+      Object.keys(this.timings),
+      name => -this.timings[name]
+    );
+    if (names.length === 0) {
+      return;
+    }
+    const total = _.sum(_.values(this.timings));
+    this.events.emitInfo(
+      `Generated ${names.length} clusters (${total}ms in total):\n${names
+        .map(name => `  ${name}: ${this.timings[name]}ms`)
+        .join("\n")}`
+    );
+  }
+
   /**
 	 * Load the conf file if available and merge values.
 	 */
@@ -177,11 +833,75 @@ class Deploymentizer {
         this.options.configPlugin = conf.plugin;
         this.options.configPlugin.path = conf.plugin.path;
       }
+      if (conf.validation) {
+        this.options.kubernetesVersion = conf.validation.kubernetesVersion;
+        this.options.schemaPath = resolve(
+          this.options.workdir,
+          conf.validation.schemaPath
+        );
+      }
+      if (conf.output && conf.output.layout) {
+        this.options.layout = conf.output.layout;
+      }
+      if (conf.output && conf.output.format) {
+        this.options.format = conf.output.format;
+      }
+      if (conf.images && conf.images.resolver) {
+        // Resolvers are either built in (by name) or modules relative to the workdir
+        const name = conf.images.resolver.name;
+        this.options.imageResolver = {
+          name: /^[./]/.test(name) ? resolve(this.options.workdir, name) : name,
+          options: conf.images.resolver.options || {}
+        };
+      }
+      if (conf.images && conf.images.pinDigests) {
+        this.options.pinDigests = true;
+      }
+      if (conf.images && conf.images.naming) {
+        this.options.imageNaming = conf.images.naming;
+      }
+      if (conf.imagePolicy) {
+        this.options.imagePolicy = conf.imagePolicy;
+      }
+      if (conf.flags) {
+        // Providers are either built in (by name) or modules relative to the workdir
+        const provider = conf.flags.provider;
+        let options = conf.flags.options || {};
+        if (provider === "file" && options.path) {
+          options = _.assign({}, options, {
+            path: resolve(this.options.workdir, options.path)
+          });
+        }
+        this.options.flags = {
+          provider: /^[./]/.test(provider)
+            ? resolve(this.options.workdir, provider)
+            : provider,
+          options: options,
+          names: conf.flags.names || {}
+        };
+      }
+      if (conf.enrich) {
+        this.options.enrich = conf.enrich;
+      }
+      if (conf.partials) {
+        this.paths.partials = resolve(this.options.workdir, conf.partials.path);
+      }
+      if (conf.templates && conf.templates.engines) {
+        // Engines are either built in (by name) or modules relative to the workdir
+        this.options.engines = _.mapValues(
+          conf.templates.engines,
+          engine =>
+            /^[./]/.test(engine)
+              ? resolve(this.options.workdir, engine)
+              : engine
+        );
+      }
       Object.keys(this.paths).forEach(key => {
         if (!this.paths[key]) {
           throw new Error(`Missing required value: ${key}`);
         }
       });
+      return conf;
     } else {
       throw new Error("No Configuration object.");
     }
@@ -194,13 +914,18 @@ class Deploymentizer {
 	 * @param  {[type]} typeDefinitions Map of Type configuration
 	 * @param  {[type]} baseClusterDef  Base Cluster Definition
 	 * @param  {[type]} imageResources  ImageResource Map
+	 * @param  {[type]} configPlugin    (optional) plugin loading configuration
+	 * @param  {[type]} engines         (optional) EngineHandler used to render templates
+	 * @param  {[type]} kustomizeBase   (optional) content rendered for the kustomize base
 	 */
   processClusterDef(
     def,
     typeDefinitions,
     baseClusterDef,
     imageResources,
-    configPlugin
+    configPlugin,
+    engines,
+    kustomizeBase
   ) {
     return Promise.try(() => {
       if (def.type()) {
@@ -239,7 +964,11 @@ class Deploymentizer {
       // Merge with the Base Definitions.
       def.apply(baseClusterDef);
       let elroyProm;
-      if (this.options.elroyUrl && this.options.elroySecret) {
+      if (
+        this.options.elroyUrl &&
+        this.options.elroySecret &&
+        !this.options.diff
+      ) {
         elroyProm = ElroySync.SaveToElroy(def, this.events, this.options);
       } else {
         elroyProm = Promise.Resolve;
@@ -255,21 +984,45 @@ class Deploymentizer {
         // apply the correct image tag based on cluster type or resource type
         // generating the templates for each resource (if not disabled), using custom ENVs and envs from resource tags.
         // Save files out
-        const generator = new Generator(
+        const generator = this.createGenerator(
           def,
           imageResources,
-          this.paths.resources,
-          this.paths.output,
-          this.options.save,
           configPlugin,
-          this.options.resource,
-          this.events,
-          this.options.deployId,
-          this.options.fastRollback,
-          this.options.commitId,
-          this.options.launchDarkly
+          engines,
+          kustomizeBase
         );
-        return Promise.all([elroyProm, generator.process()]);
+        const start = Date.now();
+        // the output is only replaced once the cluster is complete, including
+        // its manifest.json, a failed cluster keeps its last good output
+        const generated = generator
+          .generate()
+          .then(() => {
+            this.timings[def.name()] = Date.now() - start;
+            if (generator.options.save === true) {
+              return this.writeManifest(def, generator).then(() => {
+                if (this.options.prune) {
+                  return this.pruneCluster(def, generator);
+                }
+              });
+            }
+          })
+          .then(() => generator.commit())
+          .catch(err => {
+            return generator.discard().then(() => {
+              throw err;
+            });
+          });
+        if (this.options.diff) {
+          return generated.then(() => {
+            return DiffHandler.compare(
+              def.name(),
+              path.join(this.paths.output, def.name()),
+              generator.files,
+              !this.options.resource
+            );
+          });
+        }
+        return Promise.all([elroyProm, generated]);
       }
     });
   }
@@ -2,15 +2,39 @@
 
 const _ = require("lodash");
 const path = require("path");
+const yaml = require("js-yaml");
 const Promise = require("bluebird");
 const yamlHandler = require("../util/yaml-handler");
 const resourceHandler = require("../util/resource-handler");
+const EngineHandler = require("../util/engine-handler");
+const ResolverHandler = require("../util/resolver-handler");
+const helperHandler = require("../util/helper-handler");
+const WorkQueue = require("../util/work-queue");
+const CacheHandler = require("../util/cache-handler");
+const manifestHandler = require("../util/manifest-handler");
+const KustomizeHandler = require("../util/kustomize-handler");
+const PolicyHandler = require("../util/policy-handler");
+const packageJson = require("../../package.json");
 const fse = require("fs-extra");
-const fseCopy = Promise.promisify(fse.copy);
 const fseMkdirs = Promise.promisify(fse.mkdirs);
 const fseReadFile = Promise.promisify(fse.readFile);
+const fseCopy = Promise.promisify(fse.copy);
+const fseRename = Promise.promisify(fse.rename);
+const fseRemove = Promise.promisify(fse.remove);
+const fseOutputFile = Promise.promisify(fse.outputFile);
 
 const featureImgShaName = "kit-deploymentizer-78-image-sha";
+// File all resources are combined into with the cluster layout
+const clusterFile = "all.yaml";
+// Name of the Namespace manifest of a cluster
+const namespaceFile = "namespace.yaml";
+// Image of primary containers when images are set by commit SHA, see imageName
+const defaultImageNaming = {
+  registry: "quay.io",
+  template: "{{registry}}/{{image_tag}}:release-{{commitId}}"
+};
+// Annotation keeping the tags of images pinned by digest
+const pinnedAnnotation = "kit-deploymentizer/images";
 const appName = "kit_deploymentizer";
 
 /**
@@ -36,6 +60,46 @@ function fileInfo(file) {
   return path.parse(file);
 }
 
+/**
+ * Returns the templates of a resource, the `file` followed by the `files`. Each
+ * entry of `files` is either a path or an object { file, name, engine }. The
+ * name of the generated file defaults to the template name.
+ * @param	{[type]} resource		 to get the templates of
+ * @return {[{file, name, engine}]} list of templates to render
+ */
+function resourceFiles(resource) {
+  let files = [];
+  if (resource.file) {
+    files.push({ file: resource.file, engine: resource.engine });
+  }
+  (resource.files || []).forEach(entry => {
+    files.push(_.isString(entry) ? { file: entry } : entry);
+  });
+  return files.map(entry =>
+    _.assign({}, entry, { name: entry.name || fileInfo(entry.file).name })
+  );
+}
+
+/**
+ * Returns the images of the containers of a resource. Containers are the
+ * objects of the local configuration that carry the resource name.
+ * @param	{{}} config local configuration of the resource
+ * @return {[string]}		 list of images, in container order
+ */
+function containerImages(config) {
+  return _.uniq(
+    _.compact(
+      _.map(
+        _.filter(
+          config,
+          value => _.isPlainObject(value) && value.resourceName === config.name
+        ),
+        "image"
+      )
+    )
+  );
+}
+
 /**
  * Manages generation of files for a given cluster definition.
  */
@@ -53,7 +117,24 @@ class Generator {
 	 * @param	{[type]} deployId					 DeployId to use when generating manifests, switch to uuid from elroy
 	 * @param	{[type]} fastRollback			 Determines if fastRollback support is enabled. used by manifest generation
 	 * @param	{[type]} commitId   			 (optional) The SHA of the commit that originated this generation request
-	 * @param	{[type]} launchDarkly			 LaunchDarkly client
+	 * @param	{[type]} flags						 Feature flag provider with a toggle(flag) method, see FlagHandler
+	 * @param	{[type]} options					 (optional) { kubernetesVersion, schemaPath } used to validate rendered objects,
+	 *																		 { engines } EngineHandler used to render templates,
+	 *																		 { strict } fail on unresolved template variables,
+	 *																		 { concurrency } max resources processed at once, defaults to 1,
+	 *																		 { queue } WorkQueue processing the resources, shared by the clusters,
+	 *																		 replaces the concurrency if set,
+	 *																		 { force } render all resources even if their inputs did not change,
+	 *																		 { layout } output layout: file (default), resource or cluster,
+	 *																		 { format } output format: yaml (default), json or kustomize,
+	 *																		 { kustomizeBase } content rendered for the kustomize base by
+	 *																		 file name, generates an overlay on it if set,
+	 *																		 { enrich } labels and annotations added to rendered objects, see enrichment,
+	 *																		 { imageResolver } ResolverHandler finding the images of containers,
+	 *																		 defaults to the image files,
+	 *																		 { pinDigests } pin the images of containers by digest, see pinImage,
+	 *																		 { imageNaming } { registry, template } naming images by commit SHA, see imageName,
+	 *																		 { imagePolicy } image rules by cluster type, see PolicyHandler
 	 */
   constructor(
     clusterDef,
@@ -67,37 +148,98 @@ class Generator {
     deployId,
     fastRollback,
     commitId,
-    launchDarkly
+    flags,
+    options
   ) {
+    options = options || {};
     this.options = {
       clusterDef: clusterDef,
       imageResourceDefs: imageResourceDefs,
       basePath: basePath,
       exportPath: path.join(exportPath, clusterDef.name()),
+      stagingPath: path.join(exportPath, `.${clusterDef.name()}.staging`),
       save: save || false,
       resource: resource || undefined,
       deployId: deployId || undefined,
       fastRollback: fastRollback || false,
-      commitId: commitId || undefined
+      commitId: commitId || undefined,
+      kubernetesVersion: options.kubernetesVersion || undefined,
+      schemaPath: options.schemaPath || undefined,
+      strict: options.strict || false,
+      concurrency: options.concurrency || 1,
+      force: options.force || false,
+      layout: options.layout || "file",
+      format: options.format || "yaml",
+      kustomizeBase: options.kustomizeBase || undefined,
+      enrich: options.enrich || undefined,
+      pinDigests: options.pinDigests || false,
+      imageNaming: options.imageNaming || undefined,
+      imagePolicy: options.imagePolicy || undefined
     };
     this.configPlugin = configPlugin;
     this.eventHandler = eventHandler;
-    this.launchDarkly = launchDarkly || undefined;
+    this.flags = flags || undefined;
+    this.engines = options.engines || new EngineHandler();
+    this.queue = options.queue || undefined;
+    this.imageResolver =
+      options.imageResolver ||
+      new ResolverHandler("file", { images: imageResourceDefs });
+    // Rendered output by file name, kept even when saving is disabled
+    this.files = {};
+    // Rendered files by resource name, combined by the resource and cluster layouts
+    this.documents = {};
+    // Rendered files by file name, turned into patches of a kustomize overlay
+    this.rendered = {};
+    // Directory files are saved to, the staging directory while generating
+    this.outputPath = this.options.exportPath;
+    // Build cache of the output directory, only used when saving
+    this.cache = undefined;
+    // Names of the resources skipped since their inputs did not change
+    this.skipped = [];
+    // Names of the resources that failed, when the cluster allows failures
+    this.failed = [];
+    // Images pinned by digest, mapped to the image they were resolved as
+    this.pinned = {};
   }
 
   /**
 	 * Processes a given Cluster Definition, creating all the required files by
-	 *	 rendering the resource and service templates.
+	 *	 rendering the resource and service templates, see generate. The output
+	 *	 directory is only replaced once all resources succeeded.
 	 *
 	 * Returns a Promise fulfilled after saving file(s)
 	 */
   process() {
+    return this.generate().then(() => this.commit());
+  }
+
+  /**
+	 * Renders all resources of the Cluster Definition. When saving, the files are
+	 * written to a staging directory, a copy of the output directory, which
+	 * replaces the output directory on commit. The staging directory is removed
+	 * if anything fails, leaving the output directory untouched.
+	 *
+	 * Returns a Promise fulfilled after saving file(s) to the staging directory
+	 */
+  generate() {
     this.eventHandler.emitInfo(
       `Calling process for ${this.options.clusterDef.name()}`
     );
     return Promise.coroutine(function*() {
-      // Create the output directory if it already does not exist.
-      yield createClusterDirectory(this.options.exportPath);
+      if (this.wholeCluster() && this.options.resource) {
+        throw new Error(
+          `Single resources cannot be generated with the ${this.options
+            .layout} layout and ${this.options.format} format`
+        );
+      }
+      if (this.options.save === true) {
+        yield this.stage();
+        // skipped resources could not be combined with the others
+        if (!this.wholeCluster()) {
+          this.cache = new CacheHandler(this.outputPath);
+          yield this.cache.load();
+        }
+      }
       const resources = this.options.clusterDef.resources();
       if (_.isNil(resources)) {
         this.eventHandler.emitWarn(
@@ -117,18 +259,133 @@ class Generator {
           yield this.processSingleResource(this.options.resource, resource);
         }
       } else {
-        // processing all resources
-        const keys = Object.keys(resources);
-        for (let i = 0; i < keys.length; i++) {
-          const resourceName = keys[i];
-          let resource = resources[resourceName];
-          yield this.processSingleResource(resourceName, resource);
+        // processing all resources, a failed resource drops the queued ones and
+        // waits for the running ones, so nothing is written after discarding
+        const queue = this.queue || new WorkQueue(this.options.concurrency);
+        yield queue.map(Object.keys(resources), resourceName =>
+          this.processSingleResource(resourceName, resources[resourceName])
+        );
+        if (this.wholeCluster() && this.failed.length > 0) {
+          throw new Error(
+            `Resources ${this.failed.join(
+              ", "
+            )} failed in cluster ${this.options.clusterDef.name()}, not saving the ${this
+              .options.layout} layout and ${this.options.format} format`
+          );
         }
+        const namespace = this.namespaceManifest();
+        if (this.options.layout === "cluster") {
+          yield this.saveCombined(
+            clusterFile,
+            _.compact([namespace]).concat(
+              _.flatMap(
+                Object.keys(resources),
+                resourceName => this.documents[resourceName] || []
+              )
+            )
+          );
+        } else if (namespace) {
+          if (this.files[namespaceFile]) {
+            throw new Error(
+              `File ${namespaceFile} of resource ${this.files[namespaceFile]
+                .resource} conflicts with the Namespace manifest of cluster ${this.options.clusterDef.name()}`
+            );
+          }
+          yield this.writeFile(namespaceFile, namespace);
+        }
+        if (this.options.format === "kustomize") {
+          yield this.saveKustomization();
+        }
+        if (this.cache) {
+          // forget resources that were removed, disabled or failed
+          this.cache.retain(
+            _.uniq(_.map(this.files, "resource").concat(this.skipped))
+          );
+        }
+      }
+      if (this.cache) {
+        yield this.cache.save();
+      }
+      if (this.skipped.length > 0) {
+        this.eventHandler.emitInfo(
+          `Skipped ${this.skipped
+            .length} unchanged resources in cluster ${this.options.clusterDef.name()}`
+        );
       }
       return;
+    }).bind(this)().catch(err => {
+      return this.discard().then(() => {
+        throw err;
+      });
+    });
+  }
+
+  /**
+	 * The cluster layout and the kustomize format create files from all resources
+	 * of the cluster, so resources can not be generated, skipped or fail on their
+	 * own.
+	 * @return {boolean} true if all resources are needed to save the output
+	 */
+  wholeCluster() {
+    return (
+      this.options.layout === "cluster" || this.options.format === "kustomize"
+    );
+  }
+
+  /**
+	 * Creates the staging directory as a copy of the output directory, so files
+	 * not generated in this run (ie: skipped or not selected resources) are kept.
+	 * @return {[type]} Promise fulfilled once the staging directory is ready
+	 */
+  stage() {
+    return Promise.coroutine(function*() {
+      yield fseRemove(this.options.stagingPath);
+      if (yield yamlHandler.exists(this.options.exportPath)) {
+        yield fseCopy(this.options.exportPath, this.options.stagingPath);
+      } else {
+        yield createClusterDirectory(this.options.stagingPath);
+      }
+      this.outputPath = this.options.stagingPath;
+    }).bind(this)();
+  }
+
+  /**
+	 * Replaces the output directory with the staging directory. The previous
+	 * output is moved aside first and removed once the staging directory is in
+	 * place.
+	 * @return {[type]} Promise fulfilled once replaced
+	 */
+  commit() {
+    return Promise.coroutine(function*() {
+      if (this.outputPath !== this.options.stagingPath) {
+        return;
+      }
+      const previousPath = `${this.options.stagingPath}.previous`;
+      yield fseRemove(previousPath);
+      if (yield yamlHandler.exists(this.options.exportPath)) {
+        yield fseRename(this.options.exportPath, previousPath);
+      }
+      yield fseRename(this.options.stagingPath, this.options.exportPath);
+      this.outputPath = this.options.exportPath;
+      yield fseRemove(previousPath);
+      this.eventHandler.emitDebug(
+        `Replaced output of cluster ${this.options.clusterDef.name()}`
+      );
     }).bind(this)();
   }
 
+  /**
+	 * Removes the staging directory, keeping the last good output.
+	 * @return {[type]} Promise fulfilled once removed
+	 */
+  discard() {
+    if (this.outputPath !== this.options.stagingPath) {
+      return Promise.resolve();
+    }
+    this.outputPath = this.options.exportPath;
+    return fseRemove(this.options.stagingPath);
+  }
+
   processSingleResource(resourceName, resource) {
     let _self = this;
     return Promise.coroutine(function*() {
@@ -142,35 +399,79 @@ class Generator {
           resourceName,
           resource
         );
-        if (resource.file) {
+        let hash = undefined;
+        if (this.cache) {
+          hash = yield this.inputsHash(resource, localConfig);
+          if (
+            !this.options.force &&
+            (yield this.cache.isFresh(resourceName, hash))
+          ) {
+            this.eventHandler.emitDebug(
+              `Resource ${resourceName} is unchanged in cluster ${this.options.clusterDef.name()}, skipping...`
+            );
+            this.skipped.push(resourceName);
+            return;
+          }
+        }
+        const files = resourceFiles(resource);
+        if (files.length > 0) {
           this.eventHandler.emitDebug(
             `Processing Resource ${resourceName} for cluster ${this.options.clusterDef.name()}`
           );
-          const fileStats = fileInfo(resource.file);
+        }
+        let names = {};
+        for (let i = 0; i < files.length; i++) {
+          const file = files[i];
+          if (names[file.name]) {
+            throw new Error(
+              `File ${file.name} is generated more than once for resource ${resourceName}`
+            );
+          }
+          names[file.name] = true;
+          // the generated file is named after the entry, not the template
+          const fileStats = _.assign(fileInfo(file.file), { name: file.name });
           switch (fileStats.ext) {
             case ".yaml":
               // YAML files do not need any processing - copy file to output directory
-              yield this.processCopyResource(resource, fileStats);
-              break;
-            case ".mustache":
-              // process and render template
-              yield this.processResource(resource, localConfig, fileStats);
+              yield this.processCopyResource(
+                resourceName,
+                file,
+                fileStats,
+                localConfig
+              );
               break;
             default:
-              throw new Error(`Unknown file type: ${fileStats.ext}`);
+              // process and render template using the engine for the extension
+              yield this.processResource(file, localConfig, fileStats);
           }
         }
         if (resource.svc) {
           this.eventHandler.emitDebug(
-            `Processing Service ${resource.svc
-              .name} for cluster ${this.options.clusterDef.name()}`
+            `Processing Services ${_.map(
+              _.castArray(resource.svc),
+              "name"
+            ).join(", ")} for cluster ${this.options.clusterDef.name()}`
           );
           // Create local config for each resource, includes local envs, svc info and image tag
           yield this.processService(resource, localConfig);
         }
+        if (this.options.layout === "resource") {
+          yield this.saveCombined(
+            `${resourceName}.yaml`,
+            this.documents[resourceName] || []
+          );
+        }
+        if (this.cache) {
+          this.cache.set(
+            resourceName,
+            hash,
+            _.keys(_.pickBy(this.files, ["resource", resourceName]))
+          );
+        }
       }
     }).bind(this)().catch(err => {
       if (_self.options.clusterDef.allowFailure()) {
+        _self.failed.push(resourceName);
         _self.eventHandler.emitWarn(
           err.message ||
             `Error processing ${resourceName} in cluster ${this.options.clusterDef.name()}`
@@ -185,7 +486,8 @@ class Generator {
 	 * Creates a local clone of the configuration object for a given resource.
 	 * Resources can contain more than one Container, configuration information is
 	 * mapped to each container in the giver resource. So local config, will
-	 * contain 1-n Container child objects.
+	 * contain 1-n Container child objects. The template helpers (base64, quote,
+	 * indent, toYaml, ...) are added as well, see HelperHandler.helpers.
 	 *
 	 * @param	{[type]} config			 Initial configuration object
 	 * @param	{[type]} resourceName Name of the resource
@@ -197,10 +499,20 @@ class Generator {
     return Promise.coroutine(function*() {
       // clone local copy
       let localConfig = _.cloneDeep(config);
+      // add the template helpers, configuration values take precedence
+      _.defaults(localConfig, helperHandler.helpers(localConfig));
       // if not not set at the resource level set it to the cluster default
       localConfig.branch = resource.branch || this.options.clusterDef.branch();
       // Add the ResourceName to the config object.
       localConfig.name = resourceName;
+      const autoscaler = self.isAutoscaler(resourceName, resource);
+      if (autoscaler && resource.kind === "autoscaler") {
+        localConfig.target = self.autoscalerTarget(
+          resourceName,
+          resource,
+          localConfig
+        );
+      }
       if (self.options.deployId) {
         if (localConfig.deployment) {
           localConfig.deployment.id = self.options.deployId;
@@ -219,7 +531,7 @@ class Generator {
       if (resource.containers) {
         Object.keys(resource.containers).forEach(cName => {
           let c = resource.containers[cName];
-          if (!self.isHPA(resourceName)) {
+          if (!autoscaler) {
             self.setPrimary(c);
           }
           containers.push({
@@ -233,7 +545,7 @@ class Generator {
 
       const containersLen = containers.length;
       if (containersLen > 1) {
-        self.checkingPrimary(containers, resourceName);
+        self.checkingPrimary(containers, resourceName, autoscaler);
       }
 
       let hasImageTag = false;
@@ -293,7 +605,7 @@ class Generator {
         }
       }
 
-      if (!hasImageTag && !self.isHPA(resourceName)) {
+      if (!hasImageTag && !autoscaler) {
         self.eventHandler.emitWarn(`No image tag found for ${resourceName}`);
         self.eventHandler.emitMetric({
           kind: "event",
@@ -313,6 +625,17 @@ class Generator {
         self.eventHandler
       );
 
+      // pinned after the verification, which needs the tags of the images
+      if (self.options.pinDigests) {
+        containers.forEach(c =>
+          self.pinImage(resourceName, localConfig[c.name])
+        );
+      }
+      self.checkImagePolicy(
+        resourceName,
+        _.compact(containers.map(c => _.get(localConfig, [c.name, "image"])))
+      );
+
       // if service info, append
       if (resource.svc) {
         localConfig.svc = resource.svc;
@@ -321,6 +644,59 @@ class Generator {
     }).bind(this)();
   }
 
+  /**
+	 * Hashes the inputs used to render a resource: the cluster metadata, the
+	 * resource definition, its configuration (including the plugin response and
+	 * images), the templates, partials and the options changing the output.
+	 * @param	{[type]} resource		 to hash the inputs of
+	 * @param	{[type]} localConfig	configuration used to render the resource
+	 * @return {[type]}							Promise fulfilled with the hash
+	 */
+  inputsHash(resource, localConfig) {
+    return Promise.coroutine(function*() {
+      let templates = [];
+      const files = resourceFiles(resource);
+      for (let i = 0; i < files.length; i++) {
+        const file = path.join(this.options.basePath, files[i].file);
+        templates.push(files[i], yield fseReadFile(file, "utf8"));
+      }
+      const services = resource.svc ? _.castArray(resource.svc) : [];
+      for (let i = 0; i < services.length; i++) {
+        const file = yield this.serviceTemplate(services[i]);
+        templates.push(file, yield fseReadFile(file, "utf8"));
+      }
+      return CacheHandler.hash([
+        this.options.clusterDef.metadata(),
+        resource,
+        localConfig,
+        templates,
+        this.engines.engines,
+        this.engines.partials,
+        _.pick(this.options, [
+          "deployId",
+          "fastRollback",
+          "commitId",
+          "strict",
+          "kubernetesVersion",
+          "schemaPath",
+          "layout",
+          "format",
+          "enrich",
+          "pinDigests",
+          "imageNaming"
+        ])
+      ]);
+    }).bind(this)();
+  }
+
+  /**
+	 * Strict rendering is enabled for all clusters or by the cluster metadata.
+	 * @return {boolean} true if unresolved template variables are errors
+	 */
+  strict() {
+    return this.options.strict === true || this.options.clusterDef.strict();
+  }
+
   setPrimary(container) {
     if (_.has(container, "primary")) return;
 
@@ -332,12 +708,65 @@ class Generator {
     container.primary = true;
   }
 
-  isHPA(resourceName) {
-    return resourceName.endsWith("-hpa");
+  /**
+	 * Autoscalers (HorizontalPodAutoscalers) are resources with `kind: autoscaler`,
+	 * they do not have containers or images. Resources named `*-hpa` are still
+	 * handled as autoscalers, but this is deprecated.
+	 * @param	{string} resourceName Name of the resource
+	 * @param	{[type]} resource
+	 * @return {boolean}						 true if the resource is an autoscaler
+	 */
+  isAutoscaler(resourceName, resource) {
+    if (resource && resource.kind === "autoscaler") {
+      return true;
+    }
+    if (resourceName.endsWith("-hpa")) {
+      this.eventHandler.emitWarn(
+        `Resource ${resourceName} is handled as autoscaler because of its name, this is deprecated: set kind: autoscaler and target instead`
+      );
+      return true;
+    }
+    return false;
+  }
+
+  /**
+	 * Returns the view of the resource targeted by an autoscaler. The target must
+	 * exist and be enabled in the cluster.
+	 * @param	{string} resourceName Name of the autoscaler
+	 * @param	{[type]} resource		 the autoscaler resource
+	 * @param	{[type]} localConfig	configuration of the autoscaler
+	 * @return {{name, kind, deployment}} name, kind and deployment configuration of the target
+	 */
+  autoscalerTarget(resourceName, resource, localConfig) {
+    const clusterName = this.options.clusterDef.name();
+    if (!resource.target) {
+      throw new Error(
+        `Autoscaler ${resourceName} has no target in cluster ${clusterName}`
+      );
+    }
+    const target = (this.options.clusterDef.resources() || {})[resource.target];
+    if (!target) {
+      throw new Error(
+        `Target ${resource.target} of autoscaler ${resourceName} not found in cluster ${clusterName}`
+      );
+    }
+    if (target.disable === true) {
+      throw new Error(
+        `Target ${resource.target} of autoscaler ${resourceName} is disabled in cluster ${clusterName}`
+      );
+    }
+    return {
+      name: resource.target,
+      kind: target.kind,
+      deployment: resourceHandler.merge(
+        localConfig.deployment,
+        target.deployment
+      )
+    };
   }
 
-  checkingPrimary(containers, resourceName) {
-    if (this.isHPA(resourceName)) return;
+  checkingPrimary(containers, resourceName, autoscaler) {
+    if (autoscaler) return;
 
     const mainLen = _.filter(containers, ["container.primary", true]).length;
     let errStr = "";
@@ -386,39 +815,148 @@ class Generator {
           feature_name: featureImgShaName
         }
       });
-      this.setImageDefault(containerName, localConfig, artifact);
-      return;
+      return this.setImageDefault(containerName, localConfig, artifact);
     }
 
     // set Image with commitID for primary containers
     if (this.isMatchingPrimaryImg(containersLen, artifact)) {
-      localConfig[
-        containerName
-      ].image = `quay.io/${artifact.image_tag}:release-${this.options
-        .commitId}`;
+      const image = this.imageName(
+        artifact,
+        localConfig[containerName].branch || localConfig.branch
+      );
+      localConfig[containerName].image = image;
+      if (this.options.pinDigests) {
+        // the image is not resolved, only its digest
+        return this.imageResolver.digest(image).then(digest => {
+          if (digest) {
+            localConfig[containerName].digest = digest;
+          }
+        });
+      }
     } else {
       // set default Img for non-primary containers
-      this.setImageDefault(containerName, localConfig, artifact);
+      return this.setImageDefault(containerName, localConfig, artifact);
     }
   }
 
+  /**
+	 * Returns the image of a primary container built from the commit SHA. The
+	 * `imageNaming` of the container, its resource or the options set the
+	 * `registry` and the `template` of the name, ie:
+	 * `{{registry}}/{{image_tag}}:{{branch}}-{{commitId}}`. The template can use
+	 * registry, image_tag, branch, commitId and resource.
+	 * @param	{[type]} artifact the container
+	 * @param	{string} branch	 branch of the container
+	 * @return {string}					 the image name
+	 */
+  imageName(artifact, branch) {
+    const naming = _.assign(
+      {},
+      defaultImageNaming,
+      this.options.imageNaming,
+      _.get(
+        this.options.clusterDef.resource(artifact.resourceName),
+        "imageNaming"
+      ),
+      artifact.imageNaming
+    );
+    const values = {
+      registry: naming.registry,
+      image_tag: artifact.image_tag,
+      branch: branch,
+      commitId: this.options.commitId,
+      resource: artifact.resourceName
+    };
+    return naming.template.replace(/{{\s*([\w-]+)\s*}}/g, (match, key) => {
+      if (_.isNil(values[key]) || values[key] === "") {
+        throw new Error(
+          `Image name template ${naming.template} of resource ${artifact.resourceName} uses ${key}, which is not set`
+        );
+      }
+      return values[key];
+    });
+  }
+
+  /**
+	 * Sets the image of a container to the image the resolver finds for its
+	 * branch, see ResolverHandler, and its digest if known.
+	 * @param	{string} containerName name of the container in the local configuration
+	 * @param	{[type]} localConfig	 configuration of the resource
+	 * @param	{[type]} artifact			 the container
+	 * @return {[type]}							 Promise fulfilled once set
+	 */
   setImageDefault(containerName, localConfig, artifact) {
     const artifactBranch =
       localConfig[containerName].branch || localConfig.branch;
-    if (
-      !this.options.imageResourceDefs[artifact.image_tag] ||
-      !this.options.imageResourceDefs[artifact.image_tag][artifactBranch]
-    ) {
+    return this.imageResolver
+      .resolve(artifact.image_tag, artifactBranch)
+      .then(resolved => {
+        localConfig[containerName].image = resolved.image;
+        if (resolved.digest) {
+          localConfig[containerName].digest = resolved.digest;
+        }
+      });
+  }
+
+  /**
+	 * Replaces the tag of the image of a container by its `digest`, set by the
+	 * image resolver or the cluster file: `repository@sha256:...`. Images without
+	 * a digest are not pinned.
+	 * @param	{string} resourceName name of the resource
+	 * @param	{[type]} container		configuration of the container
+	 */
+  pinImage(resourceName, container) {
+    if (!container || !container.image || _.includes(container.image, "@")) {
+      return;
+    }
+    if (!container.digest) {
       this.eventHandler.emitWarn(
-        JSON.stringify(this.options.imageResourceDefs)
-      );
-      throw new Error(
-        `Image ${artifact.image_tag} not found for defined branch (${artifactBranch})`
+        `No digest found for image ${container.image} of resource ${resourceName}, not pinning it`
       );
+      return;
+    }
+    const pinned = `${PolicyHandler.parseImage(container.image)
+      .name}@${container.digest}`;
+    this.pinned[pinned] = container.image;
+    container.image = pinned;
+  }
+
+  /**
+	 * Checks the images of a resource against the image policy of the cluster
+	 * type, see PolicyHandler. Violations are reported as metric.
+	 * @param	{string}	 resourceName name of the resource
+	 * @param	{[string]} images				images of the containers of the resource
+	 * @return will throw an error listing the violations if any
+	 */
+  checkImagePolicy(resourceName, images) {
+    const clusterDef = this.options.clusterDef;
+    const rules = PolicyHandler.rules(
+      this.options.imagePolicy,
+      clusterDef.type()
+    );
+    if (!rules) {
+      return;
     }
-    localConfig[containerName].image = this.options.imageResourceDefs[
-      artifact.image_tag
-    ][artifactBranch].image;
+    const violations = _.flatMap(images, image =>
+      PolicyHandler.violations(image, rules)
+    );
+    if (violations.length === 0) {
+      return;
+    }
+    const errString = `Resource ${resourceName} violates the image policy of cluster ${clusterDef.name()} (${clusterDef.type()}):\n${violations
+      .map(violation => `  ${violation}`)
+      .join("\n")}`;
+    this.eventHandler.emitMetric({
+      kind: "event",
+      title: "Image policy violated",
+      text: errString,
+      tags: {
+        app: appName,
+        kit_resource: resourceName,
+        kit_cluster: clusterDef.name()
+      }
+    });
+    throw new Error(errString);
   }
 
   setImage(containersLen, containerName, localConfig, artifact) {
@@ -429,25 +967,22 @@ class Generator {
       feature_name: featureImgShaName
     };
 
-    if (!self.launchDarkly) {
-      const errAsStr = `Launchdarkly client is undefined for ${featureImgShaName}`;
+    if (!self.flags) {
+      const errAsStr = `No feature flag provider set for ${featureImgShaName}`;
       self.eventHandler.emitWarn(errAsStr);
       self.eventHandler.emitMetric({
         kind: "event",
-        title: "Launchdarkly undefined",
+        title: "Feature flags undefined",
         text: errAsStr,
         tags: tags
       });
 
-      try {
-        self.setImageDefault(containerName, localConfig, artifact);
-        return Promise.resolve("ok");
-      } catch (err) {
-        return Promise.reject(err);
-      }
+      return Promise.try(() =>
+        self.setImageDefault(containerName, localConfig, artifact)
+      ).then(() => "ok");
     }
 
-    return self.launchDarkly
+    return self.flags
       .toggle(featureImgShaName)
       .then(isEnabled => {
         self.eventHandler.emitMetric({
@@ -524,7 +1059,8 @@ class Generator {
   }
 
   /**
-	 * Renders the resource file and saves to the output directory.
+	 * Renders the resource file and saves to the output directory. The template
+	 * engine is selected by the resource `engine` or the file extension.
 	 * @param	{object} resource		 to process
 	 * @param	{[type]} localConfig	data to use when rendering templat
 	 * @param	{[type]} fileStats		file information
@@ -532,29 +1068,22 @@ class Generator {
 	 */
   processResource(resource, localConfig, fileStats) {
     return Promise.coroutine(function*() {
-      try {
-        const resourceTemplate = yield fseReadFile(
-          path.join(this.options.basePath, resource.file),
-          "utf8"
-        );
-        const resourceYaml = resourceHandler.render(
-          resourceTemplate,
-          localConfig
-        );
-        if (this.options.save === true) {
-          yield yamlHandler.saveResourceFile(
-            this.options.exportPath,
-            fileStats.name,
-            resourceYaml
-          );
-        } else {
-          this.eventHandler.emitDebug(
-            `Saving is disabled, skipping ${fileStats.name}`
-          );
-        }
-      } catch (e) {
-        this.eventHandler.emitWarn(e.toString() ? e.toString() : e);
-      }
+      const file = path.join(this.options.basePath, resource.file);
+      // fail for unknown engines before reading the file
+      this.engines.engineFor(file, resource.engine);
+      const resourceTemplate = yield fseReadFile(file, "utf8");
+      const resourceYaml = this.engines.render(
+        file,
+        resourceTemplate,
+        localConfig,
+        { engine: resource.engine, strict: this.strict() }
+      );
+      yield this.saveFile(
+        localConfig.name,
+        fileStats.name,
+        resourceYaml,
+        this.source(file, localConfig)
+      );
       return;
     }).bind(this)();
   }
@@ -563,9 +1092,10 @@ class Generator {
 	 * Copys the file from the current location to the output location
 	 * @param	{[type]} resource	containing the file path to copy
 	 * @param	{[type]} fileStats file information
+	 * @param	{[type]} localConfig (optional) configuration of the resource, recorded with the file
 	 * @return {[type]}					 [description]
 	 */
-  processCopyResource(resource, fileStats) {
+  processCopyResource(resourceName, resource, fileStats, localConfig) {
     return Promise.coroutine(function*() {
       this.eventHandler.emitDebug(
         `Copying file from ${path.join(
@@ -573,48 +1103,337 @@ class Generator {
           resource.file
         )} to ${path.join(this.options.exportPath, fileStats.base)}`
       );
-      if (this.options.save === true) {
-        return yield fseCopy(
-          path.join(this.options.basePath, resource.file),
-          path.join(this.options.exportPath, fileStats.base)
-        );
-      } else {
-        this.eventHandler.emitDebug(
-          `Saving is disabled, skipping ${fileStats.name}`
-        );
-        return;
-      }
+      const file = path.join(this.options.basePath, resource.file);
+      const content = yield fseReadFile(file, "utf8");
+      return yield this.saveFile(
+        resourceName,
+        fileStats.name,
+        content,
+        this.source(file, localConfig)
+      );
     }).bind(this)();
   }
 
   /**
-	 * Process the Service File
+	 * Process the Service File(s). The `svc` of a resource is either a single
+	 * service or a list of services, each rendered with `svc` set to the service.
 	 * @param	{[type]} resource		[description]
 	 * @param	{[type]} localConfig [description]
 	 * @return {[type]}						 [description]
 	 */
   processService(resource, config) {
     return Promise.coroutine(function*() {
-      // There may not be a service associated with this
-      const serviceTemplate = yield fseReadFile(
-        path.join(this.options.basePath, "base-svc.mustache"),
-        "utf8"
-      );
-      const svcYaml = resourceHandler.render(serviceTemplate, config);
-      if (this.options.save === true) {
-        yield yamlHandler.saveResourceFile(
-          this.options.exportPath,
-          resource.svc.name,
-          svcYaml
+      const services = _.castArray(resource.svc);
+      let names = {};
+      for (let i = 0; i < services.length; i++) {
+        const svc = services[i];
+        if (names[svc.name]) {
+          throw new Error(
+            `Service ${svc.name} is defined more than once for resource ${config.name}`
+          );
+        }
+        names[svc.name] = true;
+        const file = yield this.serviceTemplate(svc);
+        const serviceTemplate = yield fseReadFile(file, "utf8");
+        const svcYaml = this.engines.render(
+          file,
+          serviceTemplate,
+          _.assign({}, config, { svc: svc }),
+          { engine: svc.engine, strict: this.strict() }
         );
-      } else {
-        this.eventHandler.emitDebug(
-          `Saving is disabled, skipping ${resource.svc.name}`
+        yield this.saveFile(
+          config.name,
+          svc.name,
+          svcYaml,
+          this.source(file, config)
         );
       }
       return;
     }).bind(this)();
   }
+
+  /**
+	 * Returns the templates of a resource, see resourceFiles.
+	 * @param	{[type]} resource		 to get the templates of
+	 * @return {[{file, name, engine}]} list of templates to render
+	 */
+  static resourceFiles(resource) {
+    return resourceFiles(resource);
+  }
+
+  /**
+	 * Returns the template to render a service with, in order:
+	 *  - the `template` of the service
+	 *  - [CLUSTER-TYPE]-svc.mustache
+	 *  - base-svc.mustache
+	 * Paths are relative to the resources path.
+	 * @param	{[type]} svc	service to render
+	 * @return {[type]}			Promise fulfilled with the path of the template
+	 */
+  serviceTemplate(svc) {
+    const basePath = this.options.basePath;
+    if (svc.template) {
+      return Promise.resolve(path.join(basePath, svc.template));
+    }
+    const typeFile = path.join(
+      basePath,
+      `${this.options.clusterDef.type()}-svc.mustache`
+    );
+    return yamlHandler.exists(typeFile).then(exists => {
+      return exists ? typeFile : path.join(basePath, "base-svc.mustache");
+    });
+  }
+
+  /**
+	 * Returns where a generated file comes from: the template relative to the
+	 * resources path, the branch and the container images of the resource.
+	 * @param	{string} file	 path of the template
+	 * @param	{{}}		 config (optional) local configuration of the resource
+	 * @return {{template, branch, images}}
+	 */
+  source(file, config) {
+    return {
+      template: path.relative(this.options.basePath, file),
+      branch: config ? config.branch : undefined,
+      images: config ? containerImages(config) : []
+    };
+  }
+
+  /**
+	 * Validates the rendered content of a file, records it and saves it to the
+	 * output directory if saving is enabled. Invalid content is rejected and
+	 * never saved.
+	 * @param	{string} resourceName resource the file was generated for
+	 * @param	{string} name					name of the file (without extension)
+	 * @param	{string} content			content of the file
+	 * @param	{{}}		 source				(optional) where the file comes from, see source
+	 * @return {[type]}							 Promise fulfilled once saved
+	 */
+  saveFile(resourceName, name, content, source) {
+    return Promise.try(() => {
+      const fileName = `${name}.yaml`;
+      const errors = manifestHandler.validate(content, fileName, {
+        kubernetesVersion: this.options.kubernetesVersion,
+        schemaPath: this.options.schemaPath
+      });
+      if (errors.length > 0) {
+        throw new Error(
+          `Invalid manifest for resource ${resourceName} in cluster ${this.options.clusterDef.name()}:\n${errors.join(
+            "\n"
+          )}`
+        );
+      }
+      const namespace = this.namespace(resourceName);
+      if (namespace) {
+        content = manifestHandler.setNamespace(content, namespace);
+      }
+      if (this.options.enrich) {
+        content = manifestHandler.addMetadata(
+          content,
+          this.enrichment(resourceName, source)
+        );
+      }
+      if (!_.isEmpty(this.pinned)) {
+        content = manifestHandler.annotateImages(
+          content,
+          this.pinned,
+          pinnedAnnotation
+        );
+      }
+      const file = _.assign(
+        {
+          resource: resourceName,
+          content: content
+        },
+        source
+      );
+      if (this.options.layout !== "file") {
+        // combined once the resource or cluster is complete, see saveCombined
+        this.documents[resourceName] = (this.documents[resourceName] || []
+        ).concat(file);
+        return;
+      }
+      return this.writeFile(fileName, file);
+    });
+  }
+
+  /**
+	 * Returns the namespace of the objects of a resource: the namespace of the
+	 * resource, or of the cluster.
+	 * @param	{string} resourceName name of the resource
+	 * @return {string}							 namespace name, undefined if not set
+	 */
+  namespace(resourceName) {
+    return (
+      _.get(this.options.clusterDef.resource(resourceName), "namespace") ||
+      this.options.clusterDef.namespace()
+    );
+  }
+
+  /**
+	 * Returns the labels and annotations added to the objects of a resource. The
+	 * `enrich` option maps label and annotation keys to one of the fields:
+	 * resource, cluster, clusterType, branch, imageTag, commitId, deployId or
+	 * version (of the deploymentizer). Keys of fields without a value are skipped.
+	 * @param	{string} resourceName resource the file was generated for
+	 * @param	{{}}		 source				(optional) where the file comes from, see source
+	 * @return {{labels, annotations}} maps of key to value
+	 */
+  enrichment(resourceName, source) {
+    const clusterDef = this.options.clusterDef;
+    let image = _.get(source, "images[0]");
+    image = this.pinned[image] || image;
+    const fields = {
+      resource: resourceName,
+      cluster: clusterDef.name(),
+      clusterType: clusterDef.type(),
+      branch: _.get(source, "branch"),
+      imageTag: image ? PolicyHandler.parseImage(image).tag : undefined,
+      commitId: this.options.commitId,
+      deployId: this.options.deployId,
+      version: packageJson.version
+    };
+    const values = (keys, format) =>
+      _.omitBy(
+        _.mapValues(
+          keys || {},
+          field => (_.isNil(fields[field]) ? undefined : format(fields[field]))
+        ),
+        value => _.isUndefined(value) || value === ""
+      );
+    return {
+      labels: values(this.options.enrich.labels, manifestHandler.labelValue),
+      annotations: values(this.options.enrich.annotations, String)
+    };
+  }
+
+  /**
+	 * Creates the Namespace manifest of the cluster, if enabled with
+	 * `createNamespace`.
+	 * @return {{}} the file { content }, undefined if not enabled
+	 */
+  namespaceManifest() {
+    const clusterDef = this.options.clusterDef;
+    if (!clusterDef.createNamespace()) {
+      return undefined;
+    }
+    if (!clusterDef.namespace()) {
+      this.eventHandler.emitWarn(
+        `No namespace set for cluster ${clusterDef.name()}, not creating the Namespace manifest`
+      );
+      return undefined;
+    }
+    return {
+      content: yaml.safeDump({
+        apiVersion: "v1",
+        kind: "Namespace",
+        metadata: { name: clusterDef.namespace() }
+      }),
+      images: []
+    };
+  }
+
+  /**
+	 * Combines rendered files into a single file, documents are ordered by kind.
+	 * The combined file lists the templates, and the resources if more than one,
+	 * it was rendered from.
+	 * @param	{string} fileName	name of the combined file
+	 * @param	{[{}]}	 files		 rendered files: { resource, content, template, images, branch }
+	 * @return {[type]}						 Promise fulfilled once saved
+	 */
+  saveCombined(fileName, files) {
+    if (files.length === 0) {
+      return Promise.resolve();
+    }
+    const resources = _.uniq(_.map(files, "resource"));
+    const branches = _.uniq(_.map(files, "branch"));
+    return this.writeFile(fileName, {
+      resource: resources.length === 1 ? resources[0] : undefined,
+      resources: resources.length > 1 ? resources : undefined,
+      content: manifestHandler.combine(_.map(files, "content")),
+      templates: _.uniq(_.compact(_.map(files, "template"))),
+      images: _.uniq(_.flatMap(files, "images")),
+      branch: branches.length === 1 ? branches[0] : undefined
+    });
+  }
+
+  /**
+	 * Writes a rendered file in the output format: YAML files are saved as is,
+	 * converted to JSON with the json format, and kept to create the overlay with
+	 * the kustomize format, see saveKustomization.
+	 * @param	{string} fileName name of the file
+	 * @param	{{}}		 file		 { resource, content, ... } see saveFile
+	 * @return {[type]}					 Promise fulfilled once saved
+	 */
+  writeFile(fileName, file) {
+    switch (this.options.format) {
+      case "json":
+        return this.saveOutput(
+          `${path.basename(fileName, ".yaml")}.json`,
+          _.assign({}, file, { content: manifestHandler.toJson(file.content) })
+        );
+      case "kustomize":
+        if (this.options.kustomizeBase) {
+          this.rendered[fileName] = file;
+          return Promise.resolve();
+        }
+        return this.saveOutput(fileName, file);
+      default:
+        return this.saveOutput(fileName, file);
+    }
+  }
+
+  /**
+	 * Saves the kustomization of the base, or the overlay of the cluster on the
+	 * kustomize base. Previous patches are removed first.
+	 * @return {[type]} Promise fulfilled once saved
+	 */
+  saveKustomization() {
+    return Promise.coroutine(function*() {
+      if (!this.options.kustomizeBase) {
+        yield this.saveOutput(KustomizeHandler.fileName, {
+          content: KustomizeHandler.base(_.mapValues(this.files, "content"))
+        });
+        return;
+      }
+      if (this.options.save === true) {
+        yield fseRemove(path.join(this.outputPath, "patches"));
+      }
+      const overlay = KustomizeHandler.overlay(
+        this.options.kustomizeBase,
+        _.mapValues(this.rendered, "content")
+      );
+      const names = Object.keys(overlay);
+      for (let i = 0; i < names.length; i++) {
+        const output = overlay[names[i]];
+        // outputs keep the provenance of the file they were created from
+        yield this.saveOutput(
+          names[i],
+          _.assign(_.omit(this.rendered[output.file], "content"), {
+            content: output.content
+          })
+        );
+      }
+    }).bind(this)();
+  }
+
+  /**
+	 * Records an output file and saves it to the output directory if saving is
+	 * enabled.
+	 * @param	{string} fileName path of the file, relative to the output directory
+	 * @param	{{}}		 file		 { resource, content, ... } see saveFile
+	 * @return {[type]}					 Promise fulfilled once saved
+	 */
+  saveOutput(fileName, file) {
+    return Promise.try(() => {
+      this.files[fileName] = file;
+      if (this.options.save !== true) {
+        this.eventHandler.emitDebug(`Saving is disabled, skipping ${fileName}`);
+        return;
+      }
+      return fseOutputFile(path.join(this.outputPath, fileName), file.content);
+    });
+  }
 }
 
 module.exports = Generator;
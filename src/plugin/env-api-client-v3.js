@@ -34,7 +34,8 @@ class EnvApiClient {
     this.defaultBranch = options.defaultBranch || "master";
     this.request = rp;
     this.events = options.events || undefined;
-    this.launchDarkly = options.launchDarkly || undefined;
+    // feature flag provider, see FlagHandler, a LaunchDarkly client is supported as well
+    this.flags = options.flags || options.launchDarkly || undefined;
   }
 
   /**
@@ -250,12 +251,12 @@ class EnvApiClient {
    */
   // TODO (Manuel): delete this after api v4 is stable and use v4 for all
   determineApiVersionCall(tags) {
-    if (!this.launchDarkly) {
-      logger.debug("launchDarkly is undefined");
+    if (!this.flags) {
+      logger.debug("feature flags are undefined");
       return Promise.resolve(envAPIV3);
     }
 
-    return this.launchDarkly
+    return this.flags
       .toggle("kit-deploymentizer-94-api-v4-call")
       .then(isEnabled => {
         tags.feature_name = "kit-deploymentizer-94-api-v4-call";
@@ -400,19 +401,19 @@ class EnvApiClient {
         });
       }
 
-      if (!this.launchDarkly) {
+      if (!this.flags) {
         if (this.events) {
           this.events.emitMetric({
             kind: "event",
-            title: "LaunchDarkly undefined",
-            text: "Launchdarkly is undefined",
+            title: "Feature flags undefined",
+            text: "No feature flag provider set",
             tags: tags
           });
         }
         return Promise.resolve(resultOK);
       }
 
-      return this.launchDarkly
+      return this.flags
         .toggle("kit-deploymentizer-90-fail-deploy-envs")
         .then(isEnabled => {
           tags.feature_name = "kit-deploymentizer-90-fail-deploy-envs";
@@ -0,0 +1,53 @@
+"use strict";
+
+const _ = require("lodash");
+const Promise = require("bluebird");
+
+/**
+ * Resolves images from the image files loaded from the `images.path`, one file
+ * per image and branch: [IMAGE-TAG]/[BRANCH].yaml containing the `image` and
+ * optionally its `digest`.
+ */
+class FileResolver {
+  /**
+	 * @param  {{}} options { images } the image definitions, see YamlHandler.loadImageDefinitions
+	 */
+  constructor(options) {
+    this.images = options.images || {};
+  }
+
+  /**
+	 * Returns the image defined for the branch.
+	 * @param  {string} imageTag the `image_tag` of the container
+	 * @param  {string} branch   branch of the container
+	 * @return {[type]}          Promise fulfilled with { image, digest }
+	 */
+  resolve(imageTag, branch) {
+    return Promise.try(() => {
+      const def = (this.images[imageTag] || {})[branch];
+      if (!def) {
+        throw new Error(
+          `Image ${imageTag} not found for defined branch (${branch})`
+        );
+      }
+      return _.omitBy({ image: def.image, digest: def.digest }, _.isUndefined);
+    });
+  }
+
+  /**
+	 * Returns the digest of the image file defining the image.
+	 * @param  {string} image name of the image
+	 * @return {[type]}       Promise fulfilled with the digest, undefined if not defined
+	 */
+  digest(image) {
+    return Promise.try(() => {
+      const defs = _.flatMap(_.values(this.images), _.values);
+      return _.get(
+        _.find(defs, def => def.image === image && def.digest),
+        "digest"
+      );
+    });
+  }
+}
+
+module.exports = FileResolver;
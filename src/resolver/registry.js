@@ -0,0 +1,253 @@
+"use strict";
+
+const _ = require("lodash");
+const url = require("url");
+const Promise = require("bluebird");
+const rp = require("request-promise");
+const PolicyHandler = require("../util/policy-handler");
+
+const manifestTypes = [
+  "application/vnd.docker.distribution.manifest.v2+json",
+  "application/vnd.docker.distribution.manifest.list.v2+json",
+  "application/vnd.oci.image.manifest.v1+json",
+  "application/vnd.oci.image.index.v1+json"
+];
+
+/**
+ * Parses a `WWW-Authenticate` header.
+ * @param  {string} header value of the header
+ * @return {{}}            { scheme, realm, service, scope }
+ */
+function parseChallenge(header) {
+  const match = /^(\w+)\s*(.*)$/.exec(header || "");
+  if (!match) {
+    return {};
+  }
+  let challenge = { scheme: match[1].toLowerCase() };
+  const params = /(\w+)="([^"]*)"/g;
+  let param;
+  while ((param = params.exec(match[2]))) {
+    challenge[param[1]] = param[2];
+  }
+  return challenge;
+}
+
+/**
+ * Resolves images through the Docker Registry HTTP API v2. The image of a
+ * branch is the newest tag named after the branch, ie: `develop` or
+ * `develop-5fa41e7`, by the creation date of the image.
+ *
+ * Options:
+ *  - url: base url of the registry API, ie: https://quay.io - required
+ *  - host: registry host used in the image names, defaults to the host of the url
+ *  - username: user to authenticate with, the password is read from the
+ *    REGISTRY_PASSWORD environment variable
+ *  - timeout: of each request in ms, defaults to 15000
+ */
+class RegistryResolver {
+  /**
+	 * @param  {{}} options see above
+	 */
+  constructor(options) {
+    if (!options.url) {
+      throw new Error("The url is a required configuration value.");
+    }
+    this.url = options.url.replace(/\/+$/, "");
+    this.host = options.host || url.parse(this.url).host;
+    this.username = options.username || undefined;
+    this.password = process.env.REGISTRY_PASSWORD || options.password;
+    this.timeout = options.timeout || 15000;
+    this.request = rp;
+    // Bearer tokens by scope
+    this.tokens = {};
+  }
+
+  /**
+	 * Returns the newest image built from the branch.
+	 * @param  {string} imageTag the `image_tag` of the container, the repository name
+	 * @param  {string} branch   branch of the container
+	 * @return {[type]}          Promise fulfilled with { image, digest }
+	 */
+  resolve(imageTag, branch) {
+    return Promise.coroutine(function*() {
+      const tags = (yield this.tags(imageTag)).filter(
+        tag => tag === branch || _.startsWith(tag, `${branch}-`)
+      );
+      if (tags.length === 0) {
+        throw new Error(
+          `Image ${imageTag} not found for defined branch (${branch}) in registry ${this
+            .host}`
+        );
+      }
+      let newest = undefined;
+      for (let i = 0; i < tags.length; i++) {
+        const image = yield this.inspect(imageTag, tags[i]);
+        if (!newest || image.created > newest.created) {
+          newest = image;
+        }
+      }
+      return {
+        image: `${this.host}/${imageTag}:${newest.tag}`,
+        digest: newest.digest
+      };
+    }).bind(this)();
+  }
+
+  /**
+	 * Returns the digest of an image of the registry.
+	 * @param  {string} image name of the image, ie: quay.io/invision/node-auth:release-5fa41e7
+	 * @return {[type]}       Promise fulfilled with the digest, undefined for images
+	 *                        of other registries
+	 */
+  digest(image) {
+    return Promise.coroutine(function*() {
+      const parsed = PolicyHandler.parseImage(image);
+      if (parsed.registry !== this.host) {
+        return undefined;
+      }
+      if (parsed.digest) {
+        return parsed.digest;
+      }
+      const response = yield this.get(
+        parsed.repository,
+        `/v2/${parsed.repository}/manifests/${parsed.tag}`
+      );
+      return response.headers["docker-content-digest"];
+    }).bind(this)();
+  }
+
+  /**
+	 * Lists the tags of a repository, following the pagination links.
+	 * @param  {string} name of the repository
+	 * @return {[type]}      Promise fulfilled with the list of tags
+	 */
+  tags(name) {
+    return Promise.coroutine(function*() {
+      let tags = [];
+      let next = `/v2/${name}/tags/list`;
+      while (next) {
+        const response = yield this.get(name, next);
+        tags = tags.concat(response.body.tags || []);
+        const link = /<([^>]+)>;\s*rel="next"/.exec(
+          response.headers.link || ""
+        );
+        next = link ? link[1] : undefined;
+      }
+      return tags;
+    }).bind(this)();
+  }
+
+  /**
+	 * Loads the digest and creation date of a tag. The creation date is read from
+	 * the image configuration, of the first image for multi platform images.
+	 * @param  {string} name of the repository
+	 * @param  {string} tag  to inspect
+	 * @return {[type]}      Promise fulfilled with { tag, digest, created }
+	 */
+  inspect(name, tag) {
+    return Promise.coroutine(function*() {
+      const response = yield this.get(name, `/v2/${name}/manifests/${tag}`);
+      let manifest = response.body;
+      if (manifest.manifests) {
+        manifest = (yield this.get(
+          name,
+          `/v2/${name}/manifests/${manifest.manifests[0].digest}`
+        )).body;
+      }
+      const config = (yield this.get(
+        name,
+        `/v2/${name}/blobs/${manifest.config.digest}`
+      )).body;
+      return {
+        tag: tag,
+        digest: response.headers["docker-content-digest"],
+        created: config.created || ""
+      };
+    }).bind(this)();
+  }
+
+  /**
+	 * Calls the registry API, authenticating when challenged.
+	 * @param  {string} name of the repository, the scope of the token
+	 * @param  {string} path of the API call
+	 * @return {[type]}      Promise fulfilled with the response, the body parsed as JSON
+	 */
+  get(name, path) {
+    return Promise.coroutine(function*() {
+      const scope = `repository:${name}:pull`;
+      let response = yield this.call(path, this.tokens[scope]);
+      if (response.statusCode === 401) {
+        const challenge = parseChallenge(response.headers["www-authenticate"]);
+        let authorization = undefined;
+        if (challenge.scheme === "bearer") {
+          this.tokens[scope] = yield this.token(challenge, scope);
+          authorization = this.tokens[scope];
+        } else if (this.username) {
+          authorization = `Basic ${new Buffer(
+            `${this.username}:${this.password}`
+          ).toString("base64")}`;
+        }
+        if (authorization) {
+          response = yield this.call(path, authorization);
+        }
+      }
+      if (response.statusCode !== 200) {
+        throw new Error(
+          `Registry ${this
+            .host} responded with ${response.statusCode} for ${path}`
+        );
+      }
+      return response;
+    }).bind(this)();
+  }
+
+  /**
+	 * Requests a bearer token from the realm of the challenge.
+	 * @param  {{}}     challenge parsed `WWW-Authenticate` header
+	 * @param  {string} scope     to request the token for
+	 * @return {[type]}           Promise fulfilled with the Authorization header value
+	 */
+  token(challenge, scope) {
+    let options = {
+      method: "GET",
+      uri: challenge.realm,
+      qs: _.omitBy(
+        { service: challenge.service, scope: challenge.scope || scope },
+        _.isUndefined
+      ),
+      json: true,
+      timeout: this.timeout
+    };
+    if (this.username) {
+      options.auth = { user: this.username, pass: this.password };
+    }
+    return this.request(options).then(
+      body => `Bearer ${body.token || body.access_token}`
+    );
+  }
+
+  /**
+	 * Sends a GET request to the registry.
+	 * @param  {string} path          of the API call
+	 * @param  {string} authorization (optional) value of the Authorization header
+	 * @return {[type]}               Promise fulfilled with the response
+	 */
+  call(path, authorization) {
+    let headers = { Accept: manifestTypes.join(", ") };
+    if (authorization) {
+      headers.Authorization = authorization;
+    }
+    return this.request({
+      method: "GET",
+      // pagination links can be absolute
+      uri: /^https?:/.test(path) ? path : `${this.url}${path}`,
+      headers: headers,
+      json: true,
+      timeout: this.timeout,
+      resolveWithFullResponse: true,
+      simple: false
+    });
+  }
+}
+
+module.exports = RegistryResolver;
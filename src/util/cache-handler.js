@@ -0,0 +1,126 @@
+"use strict";
+
+const _ = require("lodash");
+const crypto = require("crypto");
+const path = require("path");
+const Promise = require("bluebird");
+const fse = require("fs-extra");
+const yamlHandler = require("./yaml-handler");
+const fseReadFile = Promise.promisify(fse.readFile);
+const fseWriteFile = Promise.promisify(fse.writeFile);
+
+const cacheFile = ".kit-cache.json";
+const cacheVersion = 1;
+
+/**
+ * Build cache of a cluster output directory. For each resource the hash of the
+ * inputs used to render it and the names of the generated files are kept, a
+ * resource can be skipped if its inputs did not change and its files exist.
+ */
+class CacheHandler {
+  /**
+	 * @param  {string} dir output directory of the cluster
+	 */
+  constructor(dir) {
+    this.dir = dir;
+    this.entries = {};
+  }
+
+  /**
+	 * Name of the cache file kept in the output directory.
+	 */
+  static get fileName() {
+    return cacheFile;
+  }
+
+  /**
+	 * Hashes the given inputs. Values are serialized as JSON, functions are ignored.
+	 * @param  {[type]} inputs list of values to hash
+	 * @return {string}        hex encoded sha256 digest
+	 */
+  static hash(inputs) {
+    const hash = crypto.createHash("sha256");
+    inputs.forEach(input => {
+      hash.update(_.isString(input) ? input : JSON.stringify(input) || "");
+      hash.update("\0");
+    });
+    return hash.digest("hex");
+  }
+
+  /**
+	 * Loads the cache file of the directory, a missing or unreadable file is
+	 * handled as an empty cache.
+	 * @return {[type]} Promise fulfilled once loaded
+	 */
+  load() {
+    return fseReadFile(path.join(this.dir, cacheFile), "utf8")
+      .then(content => {
+        const cache = JSON.parse(content);
+        this.entries = cache.version === cacheVersion ? cache.resources : {};
+      })
+      .catch(() => {
+        this.entries = {};
+      });
+  }
+
+  /**
+	 * Checks if a resource was generated from the same inputs and its files
+	 * still exist.
+	 * @param  {string} resourceName name of the resource
+	 * @param  {string} hash         of the current inputs
+	 * @return {[type]}              Promise fulfilled with true if the resource can be skipped
+	 */
+  isFresh(resourceName, hash) {
+    const entry = this.entries[resourceName];
+    if (!entry || entry.hash !== hash) {
+      return Promise.resolve(false);
+    }
+    return Promise.all(
+      entry.files.map(file => yamlHandler.exists(path.join(this.dir, file)))
+    ).then(exists => _.every(exists));
+  }
+
+  /**
+	 * Returns the cache entry of a resource.
+	 * @param  {string} resourceName name of the resource
+	 * @return {{hash, files}}       the entry, undefined if not cached
+	 */
+  get(resourceName) {
+    return this.entries[resourceName];
+  }
+
+  /**
+	 * Records the inputs hash and the generated files of a resource.
+	 * @param  {string}   resourceName name of the resource
+	 * @param  {string}   hash         of the inputs
+	 * @param  {[string]} files        names of the generated files
+	 */
+  set(resourceName, hash, files) {
+    this.entries[resourceName] = { hash: hash, files: files };
+  }
+
+  /**
+	 * Removes the entries of resources that are no longer generated.
+	 * @param  {[string]} resourceNames names of the resources to keep
+	 */
+  retain(resourceNames) {
+    this.entries = _.pick(this.entries, resourceNames);
+  }
+
+  /**
+	 * Writes the cache file to the directory.
+	 * @return {[type]} Promise fulfilled once saved
+	 */
+  save() {
+    return fseWriteFile(
+      path.join(this.dir, cacheFile),
+      JSON.stringify(
+        { version: cacheVersion, resources: this.entries },
+        null,
+        2
+      )
+    );
+  }
+}
+
+module.exports = CacheHandler;
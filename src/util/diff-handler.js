@@ -0,0 +1,162 @@
+"use strict";
+
+const _ = require("lodash");
+const path = require("path");
+const Promise = require("bluebird");
+const jsdiff = require("diff");
+const glob = require("glob-promise");
+const fse = require("fs-extra");
+const yamlHandler = require("./yaml-handler");
+const ProvenanceHandler = require("./provenance-handler");
+const fseReadFile = Promise.promisify(fse.readFile);
+
+const NO_FILE = "/dev/null";
+
+/**
+ * Compares rendered manifests against the files already in the output directory.
+ *
+ * Wrap public functions in a class for organization.
+ */
+class DiffHandler {
+  /**
+	 * Compares the rendered files for a cluster with the files saved in its
+	 * output directory. Result:
+	 * {
+	 *   cluster: "cluster-name",
+	 *   created: [ "file.yaml", ... ],
+	 *   deleted: [ "file.yaml", ... ],
+	 *   changed: [ "file.yaml", ... ],
+	 *   patches: [ { file: "file.yaml", resource: "name", patch: "..." }, ... ]
+	 * }
+	 * @param  {string} clusterName   name of the cluster
+	 * @param  {string} dir           output directory of the cluster
+	 * @param  {{}}     files         rendered files by name: { resource, content }
+	 * @param  {boolean} withDeleted  list existing files that were not rendered as deleted
+	 * @return {[type]}               Promise fulfilled with the comparison result
+	 */
+  static compare(clusterName, dir, files, withDeleted) {
+    return Promise.coroutine(function*() {
+      let result = {
+        cluster: clusterName,
+        created: [],
+        deleted: [],
+        changed: [],
+        patches: []
+      };
+      let existing = [];
+      const exists = yield yamlHandler.exists(dir);
+      if (exists) {
+        // only manifests are compared, not the build cache and other files
+        existing = yield glob("**/*.{yaml,json}", {
+          cwd: dir,
+          nodir: true,
+          ignore: ProvenanceHandler.fileName
+        });
+      }
+      const names = Object.keys(files).sort();
+      for (let i = 0; i < names.length; i++) {
+        const name = names[i];
+        const file = files[name];
+        if (!_.includes(existing, name)) {
+          result.created.push(name);
+          result.patches.push({
+            file: name,
+            resource: file.resource,
+            patch: DiffHandler.patch(NO_FILE, name, "", file.content)
+          });
+          continue;
+        }
+        const current = yield fseReadFile(path.join(dir, name), "utf8");
+        if (current !== file.content) {
+          result.changed.push(name);
+          result.patches.push({
+            file: name,
+            resource: file.resource,
+            patch: DiffHandler.patch(name, name, current, file.content)
+          });
+        }
+      }
+      if (withDeleted) {
+        const deleted = _.difference(existing, names).sort();
+        for (let i = 0; i < deleted.length; i++) {
+          const current = yield fseReadFile(path.join(dir, deleted[i]), "utf8");
+          result.deleted.push(deleted[i]);
+          result.patches.push({
+            file: deleted[i],
+            resource: undefined,
+            patch: DiffHandler.patch(deleted[i], NO_FILE, current, "")
+          });
+        }
+      }
+      return result;
+    })();
+  }
+
+  /**
+	 * Creates a unified diff between two versions of a file.
+	 * @param  {string} oldName    name of the existing file
+	 * @param  {string} newName    name of the rendered file
+	 * @param  {string} oldContent existing content
+	 * @param  {string} newContent rendered content
+	 * @return {string}            unified diff
+	 */
+  static patch(oldName, newName, oldContent, newContent) {
+    return jsdiff.createTwoFilesPatch(
+      oldName === NO_FILE ? NO_FILE : `a/${oldName}`,
+      newName === NO_FILE ? NO_FILE : `b/${newName}`,
+      oldContent,
+      newContent,
+      "",
+      ""
+    );
+  }
+
+  /**
+	 * Checks if any of the comparison results contain differences.
+	 * @param  {[type]}  results Array of comparison results
+	 * @return {boolean}         true if anything differs
+	 */
+  static hasChanges(results) {
+    return _.some(results, result => {
+      return (
+        result.created.length > 0 ||
+        result.deleted.length > 0 ||
+        result.changed.length > 0
+      );
+    });
+  }
+
+  /**
+	 * Formats the comparison results as a report, grouped by cluster and resource.
+	 * @param  {[type]} results Array of comparison results
+	 * @return {string}         report containing the unified diffs
+	 */
+  static format(results) {
+    let lines = [];
+    _.sortBy(results, "cluster").forEach(result => {
+      if (!DiffHandler.hasChanges([result])) {
+        return;
+      }
+      lines.push(`=== Cluster ${result.cluster}`);
+      result.created.forEach(file => lines.push(`  created: ${file}`));
+      result.changed.forEach(file => lines.push(`  changed: ${file}`));
+      result.deleted.forEach(file => lines.push(`  deleted: ${file}`));
+      const byResource = _.groupBy(
+        result.patches,
+        patch => patch.resource || "(not generated)"
+      );
+      Object.keys(byResource)
+        .sort()
+        .forEach(resource => {
+          lines.push(`--- Resource ${resource}`);
+          byResource[resource].forEach(patch => lines.push(patch.patch));
+        });
+    });
+    if (lines.length === 0) {
+      return "No differences found\n";
+    }
+    return lines.join("\n") + "\n";
+  }
+}
+
+module.exports = DiffHandler;
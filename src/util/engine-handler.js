@@ -0,0 +1,115 @@
+"use strict";
+
+const _ = require("lodash");
+const path = require("path");
+const Promise = require("bluebird");
+const glob = require("glob-promise");
+const fse = require("fs-extra");
+const fseReadFile = Promise.promisify(fse.readFile);
+
+// Engines shipped in src/engine, selectable by name
+const builtinEngines = ["mustache", "handlebars", "ejs", "script"];
+
+// Engine used for each template extension unless configured otherwise
+const defaultEngines = {
+  ".mustache": "mustache",
+  ".hbs": "handlebars",
+  ".handlebars": "handlebars",
+  ".ejs": "ejs",
+  ".js": "script"
+};
+
+/**
+ * Registry of template engines keyed by file extension. An engine is a module
+ * exporting `render(template, view, file, options)` returning the rendered
+ * content, options contains the `partials` shared by all templates and the
+ * `strict` flag.
+ */
+class EngineHandler {
+  /**
+	 * Creates the registry, the default mapping can be extended or overridden.
+	 * @param  {{}} engines  (optional) map of extension to engine name or module path
+	 * @param  {{}} partials (optional) map of partial name to template, see loadPartials
+	 */
+  constructor(engines, partials) {
+    this.engines = _.assign({}, defaultEngines, engines);
+    this.partials = partials || {};
+    this.modules = {};
+  }
+
+  /**
+	 * Loads all files of the partials directory. Partials are named by their path
+	 * relative to the directory without extension, ie: `probes/http.mustache` is
+	 * included as `{{> probes/http}}`.
+	 * @param  {string} dir containing the partials
+	 * @return {[type]}     Promise fulfilled with a map of partial name to template
+	 */
+  static loadPartials(dir) {
+    return Promise.coroutine(function*() {
+      if (!fse.existsSync(dir)) {
+        throw new Error(`Partials directory ${dir} not found`);
+      }
+      let partials = {};
+      const files = yield glob("**/*", { cwd: dir, nodir: true });
+      for (let i = 0; i < files.length; i++) {
+        const file = files[i];
+        const name = path.join(
+          path.dirname(file),
+          path.basename(file, path.extname(file))
+        );
+        if (partials[name] !== undefined) {
+          throw new Error(`Duplicate partial ${name} in ${dir}`);
+        }
+        partials[name] = yield fseReadFile(path.join(dir, file), "utf8");
+      }
+      return partials;
+    })();
+  }
+
+  /**
+	 * Returns the engine for the given template file.
+	 * @param  {string} file   path of the template
+	 * @param  {string} engine (optional) name or module path of the engine, overrides the extension
+	 * @return {[type]}        the engine module
+	 */
+  engineFor(file, engine) {
+    const ext = path.extname(file);
+    engine = engine || this.engines[ext];
+    if (!engine) {
+      throw new Error(`Unknown file type: ${ext}`);
+    }
+    if (!this.modules[engine]) {
+      let modulePath = engine;
+      if (_.includes(builtinEngines, engine)) {
+        modulePath = path.join(__dirname, "..", "engine", engine);
+      } else if (!path.isAbsolute(engine)) {
+        throw new Error(`Unknown template engine: ${engine}`);
+      }
+      const module = require(modulePath);
+      if (!_.isFunction(module.render)) {
+        throw new Error(`Template engine ${engine} does not export render`);
+      }
+      this.modules[engine] = module;
+    }
+    return this.modules[engine];
+  }
+
+  /**
+	 * Renders a template with the engine registered for its extension.
+	 * @param  {string} file     path of the template
+	 * @param  {string} template content of the template
+	 * @param  {{}}     view     data to use when rendering
+	 * @param  {{}}     options  (optional) { engine, strict } engine is the name or
+	 *                           module path of the engine to use
+	 * @return {string}          the rendered content
+	 */
+  render(file, template, view, options) {
+    options = options || {};
+    return this.engineFor(file, options.engine).render(template, view, file, {
+      partials: this.partials,
+      strict: options.strict || false
+    });
+  }
+}
+
+module.exports = EngineHandler;
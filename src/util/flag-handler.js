@@ -0,0 +1,56 @@
+"use strict";
+
+const _ = require("lodash");
+const path = require("path");
+const Promise = require("bluebird");
+
+// Providers shipped in src/flag, selectable by name
+const builtinProviders = ["static", "env", "file", "launchdarkly"];
+
+/**
+ * Wraps the feature flag provider. A provider is a module exporting a class
+ * constructed with the provider options, with a `toggle(flag)` method returning
+ * (a Promise of) true if the flag is enabled.
+ *
+ * The deploymentizer toggles its flags by their default names, ie:
+ * kit-deploymentizer-78-image-sha, the `names` map them to the names used by
+ * the provider.
+ */
+class FlagHandler {
+  /**
+	 * Loads the provider.
+	 * @param  {string} provider name of a built in provider (static, env, file, launchdarkly) or module path
+	 * @param  {{}}     options  passed to the provider
+	 * @param  {{}}     names    (optional) provider flag name by default flag name
+	 */
+  constructor(provider, options, names) {
+    let modulePath = provider;
+    if (_.includes(builtinProviders, modulePath)) {
+      modulePath = path.join(__dirname, "..", "flag", modulePath);
+    } else if (!modulePath || !path.isAbsolute(modulePath)) {
+      throw new Error(`Unknown feature flag provider: ${provider}`);
+    }
+    const Provider = require(modulePath);
+    this.name = provider;
+    this.provider = new Provider(options || {});
+    if (!_.isFunction(this.provider.toggle)) {
+      throw new Error(
+        `Feature flag provider ${provider} does not implement toggle`
+      );
+    }
+    this.names = names || {};
+  }
+
+  /**
+	 * Returns if a flag is enabled.
+	 * @param  {string} flag default name of the flag
+	 * @return {[type]}      Promise fulfilled with true if enabled
+	 */
+  toggle(flag) {
+    return Promise.try(() =>
+      this.provider.toggle(this.names[flag] || flag)
+    ).then(enabled => Boolean(enabled));
+  }
+}
+
+module.exports = FlagHandler;
@@ -0,0 +1,300 @@
+"use strict";
+
+const _ = require("lodash");
+const mustache = require("mustache");
+const yaml = require("js-yaml");
+
+// Template helpers and the sprig functions they are exported as
+const helperFunctions = {
+  base64: "b64enc",
+  quote: "quote",
+  yamlQuote: "squote",
+  lowercase: "lower",
+  uppercase: "upper",
+  sha256: "sha256sum",
+  toYaml: "toYaml",
+  indent: "indent"
+};
+
+/**
+ * Escapes text so it is not parsed as a Go template action.
+ * @param  {string} text to escape
+ * @return {string}      the escaped text
+ */
+function escapeText(text) {
+  return text.replace(/{{/g, '{{ "{{" }}');
+}
+
+/**
+ * Returns the Go template expression accessing a key path of a value. Keys that
+ * are not identifiers (ie: `auth-con`) are accessed with `index`.
+ * @param  {string} expr expression of the value
+ * @param  {string} key  key path, `.` is the value itself
+ * @return {string}      the expression
+ */
+function access(expr, key) {
+  if (key === ".") {
+    return expr;
+  }
+  const keys = key.split(".");
+  if (keys.every(k => /^[A-Za-z_][A-Za-z0-9_]*$/.test(k))) {
+    return `${expr}.${keys.join(".")}`;
+  }
+  return `(index ${expr} ${keys.map(k => JSON.stringify(k)).join(" ")})`;
+}
+
+/**
+ * Converts Mustache templates to Helm chart templates, and creates the other
+ * files of the chart.
+ *
+ * Mustache looks up names in the stack of sections, Go templates only in the
+ * current value. The values rendered for the base are used to find the section
+ * defining each name, so the same value is accessed in the chart.
+ *
+ * Wrap public functions in a class for organization.
+ */
+class HelmHandler {
+  /**
+	 * Escapes a static file so it is copied as is to the chart.
+	 * @param  {string} text content of the file
+	 * @return {string}      the Go template
+	 */
+  static escape(text) {
+    return escapeText(text);
+  }
+
+  /**
+	 * Converts a Mustache template. Partials are included in place.
+	 * @param  {string} template Mustache template
+	 * @param  {{}}     options  { expr, sample, partials } expr is the expression of
+	 *                           the view in the chart template, sample the view
+	 *                           rendered for the base
+	 * @return {string}          the Go template
+	 */
+  static convert(template, options) {
+    let converter = {
+      partials: options.partials || {},
+      count: 0
+    };
+    return HelmHandler._tokens(converter, mustache.parse(template), [
+      { expr: options.expr, sample: options.sample }
+    ]);
+  }
+
+  /**
+	 * Converts parsed Mustache tokens with the given stack of sections.
+	 */
+  static _tokens(converter, tokens, stack) {
+    return tokens
+      .map(token => HelmHandler._token(converter, token, stack))
+      .join("");
+  }
+
+  /**
+	 * Converts a single parsed Mustache token.
+	 */
+  static _token(converter, token, stack) {
+    const type = token[0];
+    const key = token[1];
+    switch (type) {
+      case "text":
+        return escapeText(key);
+      case "name":
+      case "&":
+        return `{{ ${HelmHandler._lookup(key, stack).expr} }}`;
+      case "#": {
+        if (HelmHandler._isHelper(key, stack)) {
+          return `{{ ${HelmHandler._helper(converter, token, stack)} }}`;
+        }
+        const value = HelmHandler._lookup(key, stack);
+        if (_.isArray(value.sample) || _.isPlainObject(value.sample)) {
+          const variable = `$s${++converter.count}`;
+          const action = _.isArray(value.sample) ? "range" : "with";
+          return `{{ ${action} ${variable} := ${value.expr} }}${HelmHandler._tokens(
+            converter,
+            token[4],
+            stack.concat({
+              expr: variable,
+              sample: _.isArray(value.sample) ? value.sample[0] : value.sample
+            })
+          )}{{ end }}`;
+        }
+        return `{{ if ${value.expr} }}${HelmHandler._tokens(
+          converter,
+          token[4],
+          stack
+        )}{{ end }}`;
+      }
+      case "^":
+        return `{{ if not ${HelmHandler._lookup(key, stack)
+          .expr} }}${HelmHandler._tokens(converter, token[4], stack)}{{ end }}`;
+      case ">": {
+        const partial = converter.partials[key];
+        if (partial === undefined) {
+          throw new Error(`Partial ${key} not found`);
+        }
+        return HelmHandler._tokens(converter, mustache.parse(partial), stack);
+      }
+      default:
+        // comments and delimiter changes
+        return "";
+    }
+  }
+
+  /**
+	 * Finds the section defining a name, like Mustache does. Names not defined in
+	 * the sample are accessed in the view.
+	 * @return {{expr, sample}} expression and sample of the value
+	 */
+  static _lookup(key, stack) {
+    const first = key.split(".")[0];
+    let context = stack[0];
+    if (key === ".") {
+      context = _.last(stack);
+    } else {
+      for (let i = stack.length - 1; i >= 0; i--) {
+        if (_.isPlainObject(stack[i].sample) && _.has(stack[i].sample, first)) {
+          context = stack[i];
+          break;
+        }
+      }
+    }
+    return {
+      expr: access(context.expr, key),
+      sample: key === "." ? context.sample : _.get(context.sample, key)
+    };
+  }
+
+  /**
+	 * A section is a helper if the name is not defined in the view.
+	 */
+  static _isHelper(key, stack) {
+    return (
+      _.has(helperFunctions, key) &&
+      !stack.some(
+        context => _.isPlainObject(context.sample) && _.has(context.sample, key)
+      )
+    );
+  }
+
+  /**
+	 * Converts a helper section to a pipeline. The section has to contain a single
+	 * name or helper, `toYaml` the key path and `indent` the number of spaces first.
+	 */
+  static _helper(converter, token, stack) {
+    const key = token[1];
+    let children = token[4];
+    let args = "";
+    if (key === "indent") {
+      const match =
+        children[0] && children[0][0] === "text"
+          ? /^\s*(\d+)\s?/.exec(children[0][1])
+          : null;
+      if (!match) {
+        throw new Error(
+          "Helper indent can not be exported, it has to start with the number of spaces"
+        );
+      }
+      args = ` ${match[1]}`;
+      const rest = children[0][1].slice(match[0].length);
+      children = (rest ? [["text", rest]] : []).concat(children.slice(1));
+    }
+    let value;
+    if (
+      key === "toYaml" &&
+      children.length === 1 &&
+      children[0][0] === "text"
+    ) {
+      value = HelmHandler._lookup(children[0][1].trim(), stack).expr;
+    } else if (
+      children.length === 1 &&
+      _.includes(["name", "&"], children[0][0])
+    ) {
+      value = HelmHandler._lookup(children[0][1], stack).expr;
+    } else if (
+      children.length === 1 &&
+      children[0][0] === "#" &&
+      HelmHandler._isHelper(children[0][1], stack)
+    ) {
+      value = `(${HelmHandler._helper(converter, children[0], stack)})`;
+    } else {
+      throw new Error(
+        `Helper ${key} can not be exported, it has to contain a single value`
+      );
+    }
+    return `${helperFunctions[key]}${args} ${value}`;
+  }
+
+  /**
+	 * Returns the start of a chart template rendering a resource, it sets `$r` to
+	 * the values of the resource merged with the values of the cluster and only
+	 * renders the template if the resource is enabled.
+	 * @param  {string} resourceName name of the resource
+	 * @param  {number} svcIndex     (optional) index of the service rendered by the template
+	 * @return {string}              the Go template actions
+	 */
+  static header(resourceName, svcIndex) {
+    let header = `{{- $r := merge (deepCopy (index .Values.resources ${JSON.stringify(
+      resourceName
+    )})) (omit .Values "resources") }}\n`;
+    if (svcIndex !== undefined) {
+      header += `{{- $r = merge (dict "svc" (index $r.svc ${svcIndex})) $r }}\n`;
+    }
+    return `${header}{{- if $r.enabled }}\n`;
+  }
+
+  /**
+	 * Returns the end of a chart template, see header.
+	 * @return {string} the Go template actions
+	 */
+  static footer() {
+    return "{{- end }}\n";
+  }
+
+  /**
+	 * Creates the values of a cluster: the cluster configuration, and for each
+	 * resource the values that differ from it. Values set in the defaults of a
+	 * resource are always kept, since Helm merges them with the cluster values.
+	 * @param  {{}} config    configuration of the cluster
+	 * @param  {{}} resources map of resource name to its rendering view, false if disabled
+	 * @param  {{}} defaults  (optional) resource values of the chart values.yaml
+	 * @return {{}}           the values
+	 */
+  static values(config, resources, defaults) {
+    // views contain the template helpers, only data is exported
+    const data = value => JSON.parse(JSON.stringify(value));
+    config = data(config);
+    return _.assign({}, config, {
+      resources: _.mapValues(resources, (view, resourceName) => {
+        if (!view) {
+          return { enabled: false };
+        }
+        const kept = _.get(defaults, resourceName, {});
+        return _.assign(
+          { enabled: true },
+          _.omitBy(
+            data(view),
+            (value, key) => _.isEqual(config[key], value) && !_.has(kept, key)
+          )
+        );
+      })
+    });
+  }
+
+  /**
+	 * Creates the Chart.yaml.
+	 * @param  {string} name of the chart
+	 * @return {string}      content of the Chart.yaml
+	 */
+  static chart(name) {
+    return yaml.safeDump({
+      apiVersion: "v2",
+      name: name,
+      description: "Exported by kit-deploymentizer",
+      type: "application",
+      version: "0.1.0"
+    });
+  }
+}
+
+module.exports = HelmHandler;
@@ -0,0 +1,162 @@
+"use strict";
+
+const _ = require("lodash");
+const crypto = require("crypto");
+const yaml = require("js-yaml");
+
+/**
+ * Creates a helper usable both as a function and as a Mustache lambda. Mustache
+ * calls it without arguments to get the lambda, which receives the section text.
+ * @param  {Function} fn     helper called with the value
+ * @param  {Function} lambda (optional) called with the section text and render
+ *                           function, defaults to calling fn with the rendered text
+ * @return {Function}        the helper
+ */
+function helper(fn, lambda) {
+  lambda =
+    lambda ||
+    function(text, render) {
+      return fn(render(text));
+    };
+  return function() {
+    if (arguments.length === 0) {
+      return lambda;
+    }
+    return fn.apply(this, arguments);
+  };
+}
+
+/**
+ * Contains the helpers available in every template view, for encoding and
+ * formatting values in place.
+ *
+ * Wrap public functions in a class for organization.
+ */
+class HelperHandler {
+  /**
+	 * Encodes a value as base64.
+	 * @param  {string} value to encode
+	 * @return {string}       the encoded value
+	 */
+  static base64(value) {
+    return new Buffer(String(value)).toString("base64");
+  }
+
+  /**
+	 * Quotes a value as a JSON string, which is also a valid YAML string.
+	 * @param  {string} value to quote
+	 * @return {string}       the double quoted value
+	 */
+  static quote(value) {
+    return JSON.stringify(String(value));
+  }
+
+  /**
+	 * Quotes a value as a single quoted YAML string.
+	 * @param  {string} value to quote
+	 * @return {string}       the single quoted value
+	 */
+  static yamlQuote(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
+  }
+
+  /**
+	 * Indents every non empty line of the value.
+	 * @param  {string} value  to indent
+	 * @param  {number} spaces number of spaces to indent with
+	 * @return {string}        the indented value
+	 */
+  static indent(value, spaces) {
+    const prefix = _.repeat(" ", parseInt(spaces, 10) || 0);
+    return String(value).replace(/^(?=.)/gm, prefix);
+  }
+
+  /**
+	 * Converts a value to YAML, without the trailing newline.
+	 * @param  {[type]} value to convert
+	 * @return {string}       the YAML representation
+	 */
+  static toYaml(value) {
+    return yaml.safeDump(value).replace(/\n$/, "");
+  }
+
+  /**
+	 * Converts a value to lowercase.
+	 * @param  {string} value to convert
+	 * @return {string}       the lowercase value
+	 */
+  static lowercase(value) {
+    return String(value).toLowerCase();
+  }
+
+  /**
+	 * Converts a value to uppercase.
+	 * @param  {string} value to convert
+	 * @return {string}       the uppercase value
+	 */
+  static uppercase(value) {
+    return String(value).toUpperCase();
+  }
+
+  /**
+	 * Hashes a value, to detect content changes (ie: checksum annotations).
+	 * @param  {string} value to hash
+	 * @return {string}       the hex encoded sha256 digest
+	 */
+  static sha256(value) {
+    return crypto
+      .createHash("sha256")
+      .update(String(value))
+      .digest("hex");
+  }
+
+  /**
+	 * Returns the helpers to add to a view. Each helper can be called directly
+	 * (ie: `base64(value)`) or used as a Mustache section:
+	 *
+	 *  {{#base64}}{{{value}}}{{/base64}}
+	 *  {{#indent}}4 {{#toYaml}}deployment.resources{{/toYaml}}{{/indent}}
+	 *
+	 * As a section `toYaml` takes the key path of the value, looked up in the
+	 * current context first, then in the view. `indent` takes the number of
+	 * spaces before the text to indent.
+	 *
+	 * @param  {{}} view the helpers are added to, used to look up key paths
+	 * @return {{}}      map of helper name to helper
+	 */
+  static helpers(view) {
+    return {
+      base64: helper(HelperHandler.base64),
+      quote: helper(HelperHandler.quote),
+      yamlQuote: helper(HelperHandler.yamlQuote),
+      lowercase: helper(HelperHandler.lowercase),
+      uppercase: helper(HelperHandler.uppercase),
+      sha256: helper(HelperHandler.sha256),
+      indent: helper(HelperHandler.indent, (text, render) => {
+        const match = /^\s*(\d+)\s?/.exec(text);
+        if (!match) {
+          throw new Error(
+            `indent requires the number of spaces before the text: ${text}`
+          );
+        }
+        return HelperHandler.indent(
+          render(text.slice(match[0].length)),
+          match[1]
+        );
+      }),
+      toYaml: helper(HelperHandler.toYaml, function(text, render) {
+        const key = render(text).trim();
+        let value = _.get(this, key);
+        if (_.isUndefined(value)) {
+          value = _.get(view, key);
+        }
+        if (_.isUndefined(value)) {
+          throw new Error(`toYaml: ${key} is not defined`);
+        }
+        return HelperHandler.toYaml(value);
+      })
+    };
+  }
+}
+
+module.exports = HelperHandler;
@@ -0,0 +1,213 @@
+"use strict";
+
+const _ = require("lodash");
+const yaml = require("js-yaml");
+const manifestHandler = require("./manifest-handler");
+
+const kustomizationFile = "kustomization.yaml";
+const patchesDir = "patches";
+
+/**
+ * Escapes a key for use in a JSON pointer (RFC 6901).
+ * @param  {string} key to escape
+ * @return {string}     the escaped key
+ */
+function escapeKey(key) {
+  return String(key)
+    .replace(/~/g, "~0")
+    .replace(/\//g, "~1");
+}
+
+/**
+ * Returns the objects of rendered files keyed by kind and name, with the file
+ * and text they come from.
+ * @param  {{}} files rendered content by file name
+ * @return {{}}       map of `kind/name` to { file, doc, text }
+ */
+function objects(files) {
+  let result = {};
+  Object.keys(files)
+    .sort()
+    .forEach(file => {
+      manifestHandler.split(files[file]).forEach(text => {
+        const doc = yaml.safeLoad(text);
+        result[`${doc.kind}/${doc.metadata.name}`] = {
+          file: file,
+          doc: doc,
+          text: text
+        };
+      });
+    });
+  return result;
+}
+
+/**
+ * Creates the kustomize layout of the rendered manifests: a base containing the
+ * manifests rendered from the base-cluster.yaml, and for each cluster an
+ * overlay with the objects that only exist in the cluster and patches holding
+ * the differences with the base.
+ *
+ * Wrap public functions in a class for organization.
+ */
+class KustomizeHandler {
+  /**
+	 * Name of the kustomization file of the base and the overlays.
+	 */
+  static get fileName() {
+    return kustomizationFile;
+  }
+
+  /**
+	 * Computes the JSON patch (RFC 6902) turning the source into the target.
+	 * Objects are compared by key, other values, including arrays, are replaced
+	 * when they differ.
+	 * @param  {[type]} source  value to patch
+	 * @param  {[type]} target  value to create
+	 * @param  {string} pointer (optional) JSON pointer of the values
+	 * @return {[{}]}           list of operations, empty if equal
+	 */
+  static diff(source, target, pointer) {
+    pointer = pointer || "";
+    if (_.isPlainObject(source) && _.isPlainObject(target)) {
+      let ops = [];
+      Object.keys(source).forEach(key => {
+        if (!_.has(target, key)) {
+          ops.push({ op: "remove", path: `${pointer}/${escapeKey(key)}` });
+        }
+      });
+      Object.keys(target).forEach(key => {
+        const path = `${pointer}/${escapeKey(key)}`;
+        if (!_.has(source, key)) {
+          ops.push({ op: "add", path: path, value: target[key] });
+        } else {
+          ops = ops.concat(
+            KustomizeHandler.diff(source[key], target[key], path)
+          );
+        }
+      });
+      return ops;
+    }
+    if (_.isEqual(source, target)) {
+      return [];
+    }
+    return [{ op: "replace", path: pointer, value: target }];
+  }
+
+  /**
+	 * Returns the kustomize target of an object.
+	 * @param  {{}} doc the object
+	 * @return {{}}     { group, version, kind, name }, group is omitted for the core group
+	 */
+  static target(doc) {
+    const apiVersion = doc.apiVersion.split("/");
+    return _.omitBy(
+      {
+        group: apiVersion.length > 1 ? apiVersion[0] : undefined,
+        version: _.last(apiVersion),
+        kind: doc.kind,
+        name: doc.metadata.name
+      },
+      _.isUndefined
+    );
+  }
+
+  /**
+	 * Creates the kustomization of the base, listing all rendered files.
+	 * @param  {{}} files rendered content by file name
+	 * @return {string}   content of the kustomization.yaml
+	 */
+  static base(files) {
+    return KustomizeHandler.kustomization({
+      resources: Object.keys(files).sort()
+    });
+  }
+
+  /**
+	 * Creates the overlay of a cluster on the base. Objects are matched by kind
+	 * and name:
+	 *  - objects only in the cluster are kept in their file, listed as resources
+	 *  - objects that differ get a JSON patch in `patches/[kind]-[name].yaml`
+	 *  - objects only in the base are deleted with a strategic merge patch in
+	 *    `patches/delete-[kind]-[name].yaml`
+	 * @param  {{}} base  content rendered for the base by file name
+	 * @param  {{}} files content rendered for the cluster by file name
+	 * @return {{}}       map of output path to { content, file } where file is the
+	 *                    rendered file it was created from, if any
+	 */
+  static overlay(base, files) {
+    const baseObjects = objects(base);
+    const clusterObjects = objects(files);
+    let output = {};
+    let resources = {};
+    let spec = { resources: ["../base"] };
+    Object.keys(clusterObjects).forEach(key => {
+      const object = clusterObjects[key];
+      const source = baseObjects[key];
+      if (!source) {
+        resources[object.file] = (resources[object.file] || []).concat(
+          object.text
+        );
+        return;
+      }
+      const ops = KustomizeHandler.diff(source.doc, object.doc);
+      if (ops.length === 0) {
+        return;
+      }
+      const path = `${patchesDir}/${object.doc.kind.toLowerCase()}-${object.doc
+        .metadata.name}.yaml`;
+      output[path] = { content: yaml.safeDump(ops), file: object.file };
+      spec.patchesJson6902 = (spec.patchesJson6902 || []).concat({
+        target: KustomizeHandler.target(object.doc),
+        path: path
+      });
+    });
+    Object.keys(baseObjects).forEach(key => {
+      if (clusterObjects[key]) {
+        return;
+      }
+      const doc = baseObjects[key].doc;
+      const path = `${patchesDir}/delete-${doc.kind.toLowerCase()}-${doc
+        .metadata.name}.yaml`;
+      output[path] = {
+        content: yaml.safeDump({
+          $patch: "delete",
+          apiVersion: doc.apiVersion,
+          kind: doc.kind,
+          metadata: { name: doc.metadata.name }
+        })
+      };
+      spec.patchesStrategicMerge = (spec.patchesStrategicMerge || []).concat(
+        path
+      );
+    });
+    Object.keys(resources)
+      .sort()
+      .forEach(file => {
+        output[file] = { content: resources[file].join("---\n"), file: file };
+        spec.resources.push(file);
+      });
+    output[kustomizationFile] = {
+      content: KustomizeHandler.kustomization(spec)
+    };
+    return output;
+  }
+
+  /**
+	 * Creates the content of a kustomization.yaml.
+	 * @param  {{}} spec { resources, patchesStrategicMerge, patchesJson6902 }
+	 * @return {string}  the YAML content
+	 */
+  static kustomization(spec) {
+    return yaml.safeDump(
+      _.assign(
+        {
+          apiVersion: "kustomize.config.k8s.io/v1beta1",
+          kind: "Kustomization"
+        },
+        spec
+      )
+    );
+  }
+}
+
+module.exports = KustomizeHandler;
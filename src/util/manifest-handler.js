@@ -0,0 +1,283 @@
+"use strict";
+
+const _ = require("lodash");
+const yaml = require("js-yaml");
+const SchemaHandler = require("./schema-handler");
+
+// Order of kinds in combined files, so each object can be applied after the
+// ones it depends on. Other kinds follow in the order they were rendered.
+const kindOrder = [
+  "Namespace",
+  "ServiceAccount",
+  "Secret",
+  "ConfigMap",
+  "PersistentVolumeClaim",
+  "Service",
+  "Deployment",
+  "StatefulSet",
+  "DaemonSet",
+  "Job",
+  "CronJob",
+  "Ingress",
+  "PodDisruptionBudget",
+  "HorizontalPodAutoscaler"
+];
+
+// Kinds that are not namespaced, their objects never get a namespace
+const clusterKinds = [
+  "Namespace",
+  "Node",
+  "PersistentVolume",
+  "StorageClass",
+  "ClusterRole",
+  "ClusterRoleBinding",
+  "CustomResourceDefinition",
+  "PriorityClass",
+  "PodSecurityPolicy",
+  "APIService",
+  "MutatingWebhookConfiguration",
+  "ValidatingWebhookConfiguration"
+];
+
+/**
+ * Contains utility methods for rendered Kubernetes manifests.
+ *
+ * Wrap public functions in a class for organization.
+ */
+class ManifestHandler {
+  /**
+	 * Parses the rendered content into the objects it contains. Empty documents
+	 * are skipped.
+	 * @param  {string} content rendered YAML, can contain multiple documents
+	 * @return {[{}]}           the parsed objects
+	 */
+  static parse(content) {
+    let docs = [];
+    yaml.safeLoadAll(content, doc => {
+      if (!_.isNil(doc)) {
+        docs.push(doc);
+      }
+    });
+    return docs;
+  }
+
+  /**
+	 * Splits the rendered content into its YAML documents, keeping their text.
+	 * Empty documents are skipped.
+	 * @param  {string} content rendered YAML, can contain multiple documents
+	 * @return {[string]}       the documents, each ending with a newline
+	 */
+  static split(content) {
+    return content
+      .split(/^---(?:[ \t].*)?$/m)
+      .filter(doc => !_.isNil(yaml.safeLoad(doc)))
+      .map(doc => `${_.trim(doc, "\n")}\n`);
+  }
+
+  /**
+	 * Combines rendered files into a single multi-document file. Documents are
+	 * ordered by kind, see kindOrder, and otherwise keep their order.
+	 * @param  {[string]} contents rendered YAML of each file
+	 * @return {string}            the combined YAML
+	 */
+  static combine(contents) {
+    const docs = _.flatMap(contents, ManifestHandler.split);
+    const sorted = _.sortBy(
+      docs.map((doc, index) => ({ doc: doc, index: index })),
+      [
+        entry => {
+          const order = kindOrder.indexOf(yaml.safeLoad(entry.doc).kind);
+          return order < 0 ? kindOrder.length : order;
+        },
+        "index"
+      ]
+    );
+    return _.map(sorted, "doc").join("---\n");
+  }
+
+  /**
+	 * Applies a change to each object of the rendered content. Documents that are
+	 * not changed keep their text, changed ones are serialized again.
+	 * @param  {string}   content   rendered YAML, can contain multiple documents
+	 * @param  {Function} transform called with each object, returns true if it changed the object
+	 * @return {string}             the updated YAML, the content itself if nothing changed
+	 */
+  static transform(content, transform) {
+    let changed = false;
+    const docs = ManifestHandler.split(content).map(text => {
+      const doc = yaml.safeLoad(text);
+      if (!transform(doc)) {
+        return text;
+      }
+      changed = true;
+      return yaml.safeDump(doc);
+    });
+    return changed ? docs.join("---\n") : content;
+  }
+
+  /**
+	 * Sets the namespace of the namespaced objects that do not define one.
+	 * @param  {string} content   rendered YAML, can contain multiple documents
+	 * @param  {string} namespace to set
+	 * @return {string}           the updated YAML
+	 */
+  static setNamespace(content, namespace) {
+    return ManifestHandler.transform(content, doc => {
+      if (
+        _.includes(clusterKinds, doc.kind) ||
+        _.get(doc, "metadata.namespace")
+      ) {
+        return false;
+      }
+      doc.metadata.namespace = namespace;
+      return true;
+    });
+  }
+
+  /**
+	 * Adds labels and annotations to the objects of the rendered content. Labels
+	 * are also added to the pod template (`spec.template`) of workloads with a
+	 * `spec.selector`, without one the selector defaults to the pod template
+	 * labels and would change with them. Labels and annotations already set, ie:
+	 * by the template, are kept.
+	 * @param  {string} content  rendered YAML, can contain multiple documents
+	 * @param  {{}}     metadata { labels, annotations } maps of key to value
+	 * @return {string}          the updated YAML
+	 */
+  static addMetadata(content, metadata) {
+    return ManifestHandler.transform(content, doc => {
+      let changed = false;
+      const add = (target, field, values) => {
+        Object.keys(values || {}).forEach(key => {
+          if (!_.has(target, [field, key])) {
+            _.set(target, [field, key], values[key]);
+            changed = true;
+          }
+        });
+      };
+      add(doc.metadata, "labels", metadata.labels);
+      add(doc.metadata, "annotations", metadata.annotations);
+      if (
+        _.isPlainObject(_.get(doc, "spec.template.metadata")) &&
+        !_.isNil(_.get(doc, "spec.selector"))
+      ) {
+        add(doc.spec.template.metadata, "labels", metadata.labels);
+      }
+      return changed;
+    });
+  }
+
+  /**
+	 * Annotates the objects using any of the given images, ie: to keep the tags of
+	 * images pinned by digest. The annotation lists the values of the images
+	 * used, separated by commas. Annotations set by the template are kept.
+	 * @param  {string} content rendered YAML
+	 * @param  {{}}     images  value to annotate by image
+	 * @param  {string} key     of the annotation
+	 * @return {string}         the content with the annotations
+	 */
+  static annotateImages(content, images, key) {
+    return ManifestHandler.transform(content, doc => {
+      let values = [];
+      const collect = value => {
+        if (_.isArray(value) || _.isPlainObject(value)) {
+          _.forEach(value, (child, field) => {
+            if (
+              field === "image" &&
+              _.isString(child) &&
+              _.has(images, child)
+            ) {
+              values.push(images[child]);
+            } else {
+              collect(child);
+            }
+          });
+        }
+      };
+      collect(_.get(doc, "spec"));
+      if (values.length === 0 || _.has(doc, ["metadata", "annotations", key])) {
+        return false;
+      }
+      _.set(doc, ["metadata", "annotations", key], _.uniq(values).join(","));
+      return true;
+    });
+  }
+
+  /**
+	 * Converts a value to a valid label value: at most 63 characters, only
+	 * alphanumerics, `-`, `_` and `.`, starting and ending with an alphanumeric.
+	 * @param  {string} value to convert
+	 * @return {string}       the label value, empty if nothing is left
+	 */
+  static labelValue(value) {
+    return String(value)
+      .replace(/[^A-Za-z0-9_.-]/g, "-")
+      .slice(0, 63)
+      .replace(/^[^A-Za-z0-9]+|[^A-Za-z0-9]+$/g, "");
+  }
+
+  /**
+	 * Converts rendered YAML to JSON. Multiple documents are wrapped in a `List`.
+	 * @param  {string} content rendered YAML
+	 * @return {string}         the JSON content
+	 */
+  static toJson(content) {
+    const docs = ManifestHandler.parse(content);
+    const json =
+      docs.length === 1
+        ? docs[0]
+        : { apiVersion: "v1", kind: "List", items: docs };
+    return `${JSON.stringify(json, null, 2)}\n`;
+  }
+
+  /**
+	 * Checks that the rendered content contains parseable Kubernetes objects, each
+	 * with an apiVersion, kind and metadata.name. If a kubernetesVersion or
+	 * schemaPath is given the objects are also validated against the schema of
+	 * their kind.
+	 * @param  {string} content rendered YAML
+	 * @param  {string} file    name of the rendered file, used in error messages
+	 * @param  {{}}     options (optional) { kubernetesVersion, schemaPath }
+	 * @return {[string]}       list of errors, empty if valid
+	 */
+  static validate(content, file, options) {
+    options = options || {};
+    let docs;
+    try {
+      docs = ManifestHandler.parse(content);
+    } catch (err) {
+      return [`${file}: ${err.message}`];
+    }
+    if (docs.length === 0) {
+      return [`${file}: does not contain any object`];
+    }
+    let errors = [];
+    docs.forEach((doc, index) => {
+      const name = docs.length > 1 ? `${file}[${index}]` : file;
+      if (!_.isPlainObject(doc)) {
+        errors.push(`${name}: is not an object`);
+        return;
+      }
+      const missing = ["apiVersion", "kind", "metadata.name"].filter(
+        key => !_.get(doc, key)
+      );
+      if (missing.length > 0) {
+        errors.push(`${name}: missing ${missing.join(", ")}`);
+        return;
+      }
+      if (options.kubernetesVersion || options.schemaPath) {
+        errors = errors.concat(
+          SchemaHandler.validateManifest(
+            doc,
+            name,
+            options.kubernetesVersion,
+            options.schemaPath
+          )
+        );
+      }
+    });
+    return errors;
+  }
+}
+
+module.exports = ManifestHandler;
@@ -0,0 +1,94 @@
+"use strict";
+
+const _ = require("lodash");
+
+// Registry of images without a registry host
+const defaultRegistry = "docker.io";
+
+/**
+ * Contains the image policy checks, run on the images of containers once they
+ * are resolved. The rules are:
+ *  - registries: list of registries images can be pulled from
+ *  - bannedTags: list of tags images can not use, ie: latest
+ *  - requireDigest: images have to be pinned by digest
+ *
+ * Wrap public functions in a class for organization.
+ */
+class PolicyHandler {
+  /**
+	 * Returns the rules of a cluster type: the `default` rules merged with the
+	 * rules of the type.
+	 * @param  {{}}     policy rules by cluster type
+	 * @param  {string} type   of the cluster
+	 * @return {{}}            the rules, undefined if there are none
+	 */
+  static rules(policy, type) {
+    if (!policy || (!policy.default && !policy[type])) {
+      return undefined;
+    }
+    return _.assign({}, policy.default, policy[type]);
+  }
+
+  /**
+	 * Splits an image into its parts. Images without a registry host are pulled
+	 * from docker.io, images without a tag or digest use the latest tag.
+	 * @param  {string} image name, ie: quay.io/invision/node-auth:develop-abc1
+	 * @return {{}}           { name, registry, repository, tag, digest } where
+	 *                        name is the image without tag and digest
+	 */
+  static parseImage(image) {
+    let name = image;
+    let digest = undefined;
+    const at = name.indexOf("@");
+    if (at !== -1) {
+      digest = name.slice(at + 1);
+      name = name.slice(0, at);
+    }
+    // the tag follows the last colon, unless it is the port of the registry
+    let tag = undefined;
+    const match = /:([^:/]+)$/.exec(name);
+    if (match) {
+      tag = match[1];
+      name = name.slice(0, match.index);
+    }
+    let parts = name.split("/");
+    const registry =
+      parts.length > 1 && (/[.:]/.test(parts[0]) || parts[0] === "localhost")
+        ? parts.shift()
+        : defaultRegistry;
+    return {
+      name: name,
+      registry: registry,
+      repository: parts.join("/"),
+      tag: tag || (digest ? undefined : "latest"),
+      digest: digest
+    };
+  }
+
+  /**
+	 * Checks an image against the rules.
+	 * @param  {string} image name of the image
+	 * @param  {{}}     rules see above
+	 * @return {[string]}     list of violations, empty if the image is allowed
+	 */
+  static violations(image, rules) {
+    const parsed = PolicyHandler.parseImage(image);
+    let violations = [];
+    if (rules.registries && !_.includes(rules.registries, parsed.registry)) {
+      violations.push(
+        `image ${image} is not pulled from an allowed registry (${rules.registries.join(
+          ", "
+        )})`
+      );
+    }
+    if (parsed.tag && _.includes(rules.bannedTags, parsed.tag)) {
+      violations.push(`image ${image} uses the banned tag ${parsed.tag}`);
+    }
+    if (rules.requireDigest && !parsed.digest) {
+      violations.push(`image ${image} is not pinned by digest`);
+    }
+    return violations;
+  }
+}
+
+module.exports = PolicyHandler;
@@ -0,0 +1,128 @@
+"use strict";
+
+const _ = require("lodash");
+const crypto = require("crypto");
+const path = require("path");
+const Promise = require("bluebird");
+const fse = require("fs-extra");
+const fseReadFile = Promise.promisify(fse.readFile);
+const fseWriteFile = Promise.promisify(fse.writeFile);
+
+const manifestFile = "manifest.json";
+
+/**
+ * Records the provenance of the files generated for a cluster in a
+ * `manifest.json` in its output directory:
+ * {
+ *   cluster: "cluster-name",
+ *   files: {
+ *     "file.yaml": {
+ *       resource, template, images, branch, commitId, deployId, checksum
+ *     }
+ *   }
+ * }
+ *
+ * Files combined by the resource and cluster layouts list their `templates`
+ * instead of the template, and their `resources` if more than one:
+ * {
+ *   files: {
+ *     "all.yaml": {
+ *       resources, templates, images, commitId, deployId, checksum
+ *     }
+ *   }
+ * }
+ *
+ * Wrap public functions in a class for organization.
+ */
+class ProvenanceHandler {
+  /**
+	 * Name of the manifest file kept in the output directory.
+	 */
+  static get fileName() {
+    return manifestFile;
+  }
+
+  /**
+	 * Returns the checksum of the content of a file.
+	 * @param  {string} content of the file
+	 * @return {string}         `sha256:` followed by the hex encoded digest
+	 */
+  static checksum(content) {
+    return `sha256:${crypto
+      .createHash("sha256")
+      .update(content)
+      .digest("hex")}`;
+  }
+
+  /**
+	 * Creates the manifest of the files generated in this run. Entries of the
+	 * previous manifest are kept for the resources listed in `keep`, ie: the
+	 * resources skipped by the build cache or not selected.
+	 * @param  {string} clusterName name of the cluster
+	 * @param  {{}}     files       generated files by name: { resource, content, template, images, branch },
+	 *                              combined files have resources and templates instead
+	 * @param  {{}}     options     { commitId, deployId, previous, keep } previous is the
+	 *                              loaded manifest, keep a function called with a resource name
+	 * @return {{}}                 the manifest
+	 */
+  static create(clusterName, files, options) {
+    let entries = {};
+    const previous = _.get(options, "previous.files", {});
+    Object.keys(previous).forEach(name => {
+      if (options.keep(previous[name].resource)) {
+        entries[name] = previous[name];
+      }
+    });
+    Object.keys(files).forEach(name => {
+      const file = files[name];
+      entries[name] = _.omitBy(
+        {
+          resource: file.resource,
+          resources: file.resources,
+          template: file.template,
+          templates: file.templates,
+          images: file.images || [],
+          branch: file.branch,
+          commitId: options.commitId,
+          deployId: options.deployId,
+          checksum: ProvenanceHandler.checksum(file.content)
+        },
+        _.isUndefined
+      );
+    });
+    return {
+      cluster: clusterName,
+      files: _.fromPairs(
+        Object.keys(entries)
+          .sort()
+          .map(name => [name, entries[name]])
+      )
+    };
+  }
+
+  /**
+	 * Loads the manifest of an output directory.
+	 * @param  {string} dir output directory of the cluster
+	 * @return {[type]}     Promise fulfilled with the manifest, undefined if missing or unreadable
+	 */
+  static load(dir) {
+    return fseReadFile(path.join(dir, manifestFile), "utf8")
+      .then(content => JSON.parse(content))
+      .catch(() => undefined);
+  }
+
+  /**
+	 * Writes the manifest to an output directory.
+	 * @param  {string} dir      output directory of the cluster
+	 * @param  {{}}     manifest to write
+	 * @return {[type]}          Promise fulfilled once saved
+	 */
+  static save(dir, manifest) {
+    return fseWriteFile(
+      path.join(dir, manifestFile),
+      `${JSON.stringify(manifest, null, 2)}\n`
+    );
+  }
+}
+
+module.exports = ProvenanceHandler;
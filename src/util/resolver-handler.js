@@ -0,0 +1,86 @@
+"use strict";
+
+const _ = require("lodash");
+const path = require("path");
+const Promise = require("bluebird");
+
+// Resolvers shipped in src/resolver, selectable by name
+const builtinResolvers = ["file", "registry"];
+
+/**
+ * Wraps the image resolver finding the image of a container. A resolver is a
+ * module exporting a class constructed with the resolver options, with a
+ * `resolve(imageTag, branch)` method returning (a Promise of) the resolved
+ * image: { image, digest } where digest is optional. Resolvers can implement
+ * `digest(image)` as well, returning (a Promise of) the digest of an image named
+ * otherwise, ie: built from the commit SHA, see Generator.imageName.
+ *
+ * Results are kept for the lifetime of the handler, so an image is only
+ * resolved once for all clusters.
+ */
+class ResolverHandler {
+  /**
+	 * Loads the resolver.
+	 * @param  {string} resolver name of a built in resolver (file, registry) or module path
+	 * @param  {{}}     options  passed to the resolver, the file resolver needs the
+	 *                           loaded image definitions as `images`
+	 */
+  constructor(resolver, options) {
+    let modulePath = resolver || "file";
+    if (_.includes(builtinResolvers, modulePath)) {
+      modulePath = path.join(__dirname, "..", "resolver", modulePath);
+    } else if (!path.isAbsolute(modulePath)) {
+      throw new Error(`Unknown image resolver: ${resolver}`);
+    }
+    const Resolver = require(modulePath);
+    this.name = resolver || "file";
+    this.resolver = new Resolver(options || {});
+    if (!_.isFunction(this.resolver.resolve)) {
+      throw new Error(`Image resolver ${this.name} does not implement resolve`);
+    }
+    this.resolved = {};
+    this.digests = {};
+  }
+
+  /**
+	 * Resolves the image of a container.
+	 * @param  {string} imageTag the `image_tag` of the container, ie: invision/node-auth
+	 * @param  {string} branch   branch the image is built from
+	 * @return {[type]}          Promise fulfilled with { image, digest }
+	 */
+  resolve(imageTag, branch) {
+    const key = `${imageTag}:${branch}`;
+    if (!this.resolved[key]) {
+      // Convert to a Bluebird Promise since we dont know what type we will get back.
+      this.resolved[key] = Promise.try(() =>
+        this.resolver.resolve(imageTag, branch)
+      ).then(result => {
+        if (!result || !result.image) {
+          throw new Error(
+            `Image resolver ${this
+              .name} returned no image for ${imageTag} (${branch})`
+          );
+        }
+        return result;
+      });
+    }
+    return this.resolved[key];
+  }
+
+  /**
+	 * Finds the digest of an image, if the resolver supports it.
+	 * @param  {string} image name of the image, ie: quay.io/invision/node-auth:release-5fa41e7
+	 * @return {[type]}       Promise fulfilled with the digest, undefined if not known
+	 */
+  digest(image) {
+    if (!_.isFunction(this.resolver.digest)) {
+      return Promise.resolve(undefined);
+    }
+    if (!this.digests[image]) {
+      this.digests[image] = Promise.try(() => this.resolver.digest(image));
+    }
+    return this.digests[image];
+  }
+}
+
+module.exports = ResolverHandler;
@@ -62,12 +62,35 @@ class ResourceHandler {
 
   /**
 	 * Renders a template and returns the result. Synchronous operation.
+	 * Including a partial that is not defined is an error. In strict mode every
+	 * variable resolving to undefined is an error as well, sections are not checked.
 	 * @param  {[type]} template To render
 	 * @param  {[type]} view     data use when rendering
+	 * @param  {{}}     options  (optional) { partials, file, strict }
 	 * @return {[type]}          String  containing the result.
 	 */
-  static render(template, view) {
-    return mustache.render(template, view);
+  static render(template, view, options) {
+    options = options || {};
+    const file = options.file;
+    const partials = name => {
+      if (!options.partials || !_.has(options.partials, name)) {
+        throw new Error(
+          `Partial ${name} not found${file ? ` (included in ${file})` : ""}`
+        );
+      }
+      return options.partials[name];
+    };
+    if (!options.strict) {
+      return mustache.render(template, view, partials);
+    }
+    const writer = new StrictWriter(file || "template");
+    const result = writer.render(template, view, partials);
+    if (writer.missing.length > 0) {
+      throw new Error(
+        `Unresolved variables:\n${_.uniq(writer.missing).join("\n")}`
+      );
+    }
+    return result;
   }
 
   /**
@@ -121,6 +144,91 @@ class ResourceHandler {
   }
 }
 
+/**
+ * Mustache writer recording every variable that resolves to undefined, with the
+ * file and line of the tag. Partials and the content of lambdas are rendered
+ * from their own template, the sources stack tracks where each template starts.
+ */
+class StrictWriter extends mustache.Writer {
+  constructor(file) {
+    super();
+    this.missing = [];
+    this.sources = [{ file: file, template: undefined, line: 0 }];
+    this.next = undefined;
+  }
+
+  renderTokens(tokens, context, partials, originalTemplate) {
+    const current = _.last(this.sources);
+    if (originalTemplate === current.template) {
+      return super.renderTokens(tokens, context, partials, originalTemplate);
+    }
+    // Rendering the top level template, a partial or the content of a lambda
+    this.sources.push(
+      _.assign({ file: current.file, line: 0 }, this.next, {
+        template: originalTemplate
+      })
+    );
+    this.next = undefined;
+    try {
+      return super.renderTokens(tokens, context, partials, originalTemplate);
+    } finally {
+      this.sources.pop();
+    }
+  }
+
+  renderSection(token, context, partials, originalTemplate) {
+    if (_.isFunction(context.lookup(token[1]))) {
+      // the lambda renders the section content as a new template
+      this.next = { line: this.line(token[3]) - 1 };
+    }
+    const result = super.renderSection(
+      token,
+      context,
+      partials,
+      originalTemplate
+    );
+    this.next = undefined;
+    return result;
+  }
+
+  renderPartial(token, context, partials, originalTemplate) {
+    this.next = { file: `partial ${token[1]}` };
+    const result = super.renderPartial(
+      token,
+      context,
+      partials,
+      originalTemplate
+    );
+    this.next = undefined;
+    return result;
+  }
+
+  unescapedValue(token, context) {
+    this.check(token, context);
+    return super.unescapedValue(token, context);
+  }
+
+  escapedValue(token, context) {
+    this.check(token, context);
+    return super.escapedValue(token, context);
+  }
+
+  check(token, context) {
+    if (_.isUndefined(context.lookup(token[1]))) {
+      const source = _.last(this.sources);
+      this.missing.push(
+        `${source.file}:${this.line(token[2])}: ${token[1]} is not defined`
+      );
+    }
+  }
+
+  line(position) {
+    const source = _.last(this.sources);
+    const before = String(source.template).slice(0, position);
+    return source.line + before.split("\n").length;
+  }
+}
+
 /**
  * Implement our own merge, lo-dash was introducing errors
  * Merges source into base overriding values in base
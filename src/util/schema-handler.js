@@ -0,0 +1,153 @@
+"use strict";
+
+const _ = require("lodash");
+const fse = require("fs-extra");
+const path = require("path");
+const Ajv = require("ajv");
+
+const schemaPath = path.join(__dirname, "..", "schema");
+const defaultVersion = "2";
+// Errors only repeating the errors of the sub schemas
+const ignoredKeywords = ["allOf", "if"];
+
+// Validators are created once per schema directory
+let validators = {};
+
+/**
+ * Creates a validator holding all schemas of a directory, each schema is
+ * registered using its file name.
+ * @param  {string} dir     containing the *.json schema files
+ * @param  {{}}     options (optional) validator options
+ * @return {Ajv}            validator
+ */
+function createValidator(dir, options) {
+  if (!validators[dir]) {
+    const ajv = new Ajv(
+      _.merge({ allErrors: true, jsonPointers: true }, options)
+    );
+    fse.readdirSync(dir).forEach(file => {
+      if (path.extname(file) === ".json") {
+        ajv.addSchema(require(path.join(dir, file)), file);
+      }
+    });
+    validators[dir] = ajv;
+  }
+  return validators[dir];
+}
+
+/**
+ * Validates configuration files against the versioned JSON schemas found in
+ * `src/schema/v[VERSION]`. The version is the `version` of the kit.yaml file.
+ * Rendered manifests can be validated against the Kubernetes schemas found in
+ * `src/schema/kubernetes/v[VERSION]` or a custom directory.
+ *
+ * Wrap public functions in a class for organization.
+ */
+class SchemaHandler {
+  /**
+	 * Schema version used if the kit.yaml does not define one.
+	 */
+  static get defaultVersion() {
+    return defaultVersion;
+  }
+
+  /**
+	 * Returns the validator holding all schemas for the given version.
+	 * @param  {string} version of the schemas to load
+	 * @return {Ajv}            validator
+	 */
+  static validator(version) {
+    version = String(version || defaultVersion);
+    const dir = path.join(schemaPath, `v${version}`);
+    if (!fse.existsSync(dir)) {
+      throw new Error(`Unsupported schema version: ${version}`);
+    }
+    return createValidator(dir);
+  }
+
+  /**
+	 * Validates a loaded document against the named schema.
+	 * @param  {string} schema  name of the schema (file name without extension)
+	 * @param  {{}}     doc     loaded content of the file
+	 * @param  {string} file    path of the file, used in error messages
+	 * @param  {string} version (optional) schema version
+	 * @return {[string]}       list of errors, empty if valid
+	 */
+  static validate(schema, doc, file, version) {
+    const ajv = SchemaHandler.validator(version);
+    const validate = ajv.getSchema(`${schema}.json`);
+    if (!validate) {
+      throw new Error(`Unknown schema: ${schema}`);
+    }
+    if (validate(doc)) {
+      return [];
+    }
+    return _.uniq(
+      validate.errors
+        .filter(err => !_.includes(ignoredKeywords, err.keyword))
+        .map(err => `${file}: ${SchemaHandler.formatError(err)}`)
+    );
+  }
+
+  /**
+	 * Validates a rendered Kubernetes object against the schema matching its kind.
+	 * Schemas are looked up as `[kind].json` (lowercase), objects of a kind
+	 * without schema are not validated.
+	 * @param  {{}}     doc               the rendered object
+	 * @param  {string} file              name of the rendered file, used in error messages
+	 * @param  {string} kubernetesVersion version of the bundled schemas to use
+	 * @param  {string} dir               (optional) directory of schemas to use instead
+	 * @return {[string]}                 list of errors, empty if valid
+	 */
+  static validateManifest(doc, file, kubernetesVersion, dir) {
+    if (!dir) {
+      dir = path.join(schemaPath, "kubernetes", `v${kubernetesVersion}`);
+      if (!fse.existsSync(dir)) {
+        throw new Error(`Unsupported Kubernetes version: ${kubernetesVersion}`);
+      }
+    }
+    // Allow schemas generated from the Kubernetes OpenAPI spec
+    const ajv = createValidator(dir, {
+      schemaId: "auto",
+      validateSchema: false,
+      unknownFormats: "ignore"
+    });
+    const validate = ajv.getSchema(`${String(doc.kind).toLowerCase()}.json`);
+    if (!validate || validate(doc)) {
+      return [];
+    }
+    return _.uniq(
+      validate.errors
+        .filter(err => !_.includes(ignoredKeywords, err.keyword))
+        .map(err => `${file}: ${SchemaHandler.formatError(err)}`)
+    );
+  }
+
+  /**
+	 * Converts a validation error into a message using the key path of the value.
+	 * @param  {{}}     err error returned by the validator
+	 * @return {string}     message
+	 */
+  static formatError(err) {
+    let keys = err.dataPath
+      .split("/")
+      .slice(1)
+      .map(key => key.replace(/~1/g, "/").replace(/~0/g, "~"));
+    if (err.keyword === "additionalProperties") {
+      keys.push(err.params.additionalProperty);
+      return `${keys.join(".")} is not a supported property`;
+    }
+    if (err.keyword === "required") {
+      keys.push(err.params.missingProperty);
+      return `${keys.join(".")} is required`;
+    }
+    if (err.keyword === "const") {
+      return `${keys.join(".") || "(root)"} should be ${JSON.stringify(
+        err.params.allowedValue
+      )}`;
+    }
+    return `${keys.join(".") || "(root)"} ${err.message}`;
+  }
+}
+
+module.exports = SchemaHandler;
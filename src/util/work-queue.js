@@ -0,0 +1,97 @@
+"use strict";
+
+const Promise = require("bluebird");
+const _ = require("lodash");
+
+/**
+ * Runs async tasks in the order they were added, with at most `concurrency`
+ * tasks running at once.
+ */
+class WorkQueue {
+  /**
+	 * @param  {number} concurrency (optional) max number of running tasks, unbounded if not set
+	 */
+  constructor(concurrency) {
+    this.concurrency = concurrency > 0 ? concurrency : Infinity;
+    this.running = 0;
+    this.pending = [];
+  }
+
+  /**
+	 * Adds a task to the queue.
+	 * @param  {Function} task returning a value or Promise, called once a slot is free
+	 * @return {[type]}        Promise fulfilled with the result of the task
+	 */
+  push(task) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ task: task, resolve: resolve, reject: reject });
+      this.next();
+    });
+  }
+
+  /**
+	 * Adds a task for each item and waits for all of them. Once a task fails,
+	 * the tasks of the items not started yet are dropped and the call rejects
+	 * after the running ones have finished.
+	 * @param  {[type]}   items to process
+	 * @param  {Function} task  called with each item and its index
+	 * @return {[type]}         Promise fulfilled with the results in order of the items
+	 */
+  map(items, task) {
+    let failure;
+    const entries = items.map((item, i) => {
+      return {
+        task: () =>
+          Promise.try(() => task(item, i)).catch(err => {
+            if (!failure) {
+              failure = err;
+              this.drop(entries);
+            }
+            throw err;
+          })
+      };
+    });
+    const results = entries.map(entry => {
+      return new Promise((resolve, reject) => {
+        entry.resolve = resolve;
+        entry.reject = reject;
+      }).reflect();
+    });
+    entries.forEach(entry => this.pending.push(entry));
+    this.next();
+    return Promise.all(results).then(inspections => {
+      if (failure) {
+        throw failure;
+      }
+      return inspections.map(inspection => inspection.value());
+    });
+  }
+
+  /**
+	 * Removes the given entries from the pending tasks, fulfilling them without
+	 * running their task.
+	 * @param  {[type]} entries queued by `map`
+	 */
+  drop(entries) {
+    const dropped = _.remove(this.pending, entry => _.includes(entries, entry));
+    dropped.forEach(entry => entry.resolve());
+  }
+
+  /**
+	 * Starts pending tasks while below the concurrency limit.
+	 */
+  next() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const item = this.pending.shift();
+      this.running++;
+      Promise.try(item.task)
+        .finally(() => {
+          this.running--;
+          this.next();
+        })
+        .then(item.resolve, item.reject);
+    }
+  }
+}
+
+module.exports = WorkQueue;
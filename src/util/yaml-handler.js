@@ -134,6 +134,62 @@ class YamlHandler {
     })();
   }
 
+  /**
+	 * Lists all definition files loaded from the given paths together with the
+	 * schema used to validate them:
+	 * [ { file: "/manifests/base-cluster.yaml", schema: "base-cluster" }, ... ]
+	 * @param  {{}} paths base, type, cluster and images directories
+	 * @return {[type]}   Returns a Promise with the list of files.
+	 */
+  static findDefinitionFiles(paths) {
+    return Promise.coroutine(function*() {
+      let files = [
+        {
+          file: path.join(paths.base, "base-cluster.yaml"),
+          schema: "base-cluster"
+        },
+        {
+          file: path.join(paths.base, "base-var.yaml"),
+          schema: "resource-config"
+        }
+      ];
+      const typeFiles = yield glob(`${paths.type}/*-var.yaml`);
+      typeFiles.forEach(file => {
+        files.push({ file: file, schema: "type-config" });
+      });
+      const clusterDirs = yield fseReadDir(paths.cluster);
+      for (let i = 0; i < clusterDirs.length; i++) {
+        const clusterFile = path.join(
+          paths.cluster,
+          clusterDirs[i],
+          "cluster.yaml"
+        );
+        const exists = yield YamlHandler.exists(clusterFile);
+        if (exists) {
+          files.push({ file: clusterFile, schema: "cluster" });
+          files.push({
+            file: path.join(
+              paths.cluster,
+              clusterDirs[i],
+              "configuration-var.yaml"
+            ),
+            schema: "resource-config"
+          });
+        }
+      }
+      const imageDirs = yield fseReadDir(paths.images);
+      for (let i = 0; i < imageDirs.length; i++) {
+        const imageFiles = yield glob(
+          path.join(paths.images, imageDirs[i], "**/*.yaml")
+        );
+        imageFiles.forEach(file => {
+          files.push({ file: file, schema: "image" });
+        });
+      }
+      return files;
+    })();
+  }
+
   /**
 	 * Saves a file out to the specified directory
 		* @param  {[type]} dir     to save to
@@ -0,0 +1,11 @@
+"use strict";
+
+module.exports.render = config => ({
+  apiVersion: "v1",
+  kind: "ConfigMap",
+  metadata: { name: `${config.name}-config` },
+  data: Object.assign(
+    { replicas: String(config.deployment.replicaCount || 1) },
+    ...config["auth-con"].env.map(env => ({ [env.name]: env.value }))
+  )
+});
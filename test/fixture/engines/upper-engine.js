@@ -0,0 +1,6 @@
+"use strict";
+
+module.exports.render = (template, view) =>
+  template.replace(/\$\{(\w+)\}/g, (match, key) =>
+    String(view[key]).toUpperCase()
+  );
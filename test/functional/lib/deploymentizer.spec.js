@@ -1,7 +1,10 @@
 "use strict";
 
+const _ = require("lodash");
+const yaml = require("js-yaml");
 const expect = require("chai").expect;
 const os = require("os");
+const crypto = require("crypto");
 const path = require("path");
 const fse = require("fs-extra");
 const Promise = require("bluebird");
@@ -482,4 +485,460 @@ describe("Deploymentizer", () => {
       });
     });
   });
+
+  describe("concurrency", () => {
+    it("should generate the same files with bounded concurrency", done => {
+      Promise.coroutine(function*() {
+        process.env.SECRET_USERNAME = "myusername";
+        process.env.SECRET_PASSWORD = "mypassword";
+        process.env.GITHUB_TOKEN = "s@mpler@ndomt0ken";
+        fse.mkdirsSync(path.join(os.tmpdir(), "generated"));
+
+        const conf = yield yamlHandler.loadFile("/test/fixture/kit.yaml");
+        const options = {
+          clean: true,
+          save: true,
+          conf: conf,
+          launchDarkly: mockFlagDefault
+        };
+        yield new Deploymentizer(options).process();
+
+        options.diff = true;
+        options.concurrency = 2;
+        const deployer = new Deploymentizer(options);
+        let infos = [];
+        deployer.events.on(deployer.events.INFO, msg => infos.push(msg));
+        const results = yield deployer.process();
+        results.forEach(result => {
+          expect(result.changed).to.be.empty;
+          expect(result.created).to.be.empty;
+        });
+        expect(Object.keys(deployer.timings).sort()).to.deep.equal([
+          "failure-fixture",
+          "other-test-fixture",
+          "test-fixture"
+        ]);
+        expect(infos.join("\n")).to.contain("Generated 3 clusters");
+
+        done();
+      })().catch(err => {
+        done(err);
+      });
+    });
+  });
+
+  describe("failures", () => {
+    it("should finish the other clusters before failing", done => {
+      Promise.coroutine(function*() {
+        process.env.SECRET_USERNAME = "myusername";
+        process.env.SECRET_PASSWORD = "mypassword";
+        process.env.GITHUB_TOKEN = "s@mpler@ndomt0ken";
+        const output = path.join(os.tmpdir(), "generated");
+        fse.mkdirsSync(output);
+
+        const conf = yield yamlHandler.loadFile("/test/fixture/kit.yaml");
+        const deployer = new Deploymentizer({
+          clean: true,
+          save: true,
+          conf: conf,
+          launchDarkly: mockFlagDefault
+        });
+        const processClusterDef = deployer.processClusterDef.bind(deployer);
+        deployer.processClusterDef = function(def) {
+          if (def.name() === "test-fixture") {
+            return Promise.reject(new Error("cluster failed"));
+          }
+          return processClusterDef.apply(null, arguments);
+        };
+        let error = undefined;
+        try {
+          yield deployer.process();
+        } catch (err) {
+          error = err;
+        }
+
+        expect(error.message).to.equal("cluster failed");
+        expect(
+          fse.existsSync(
+            path.join(output, "other-test-fixture", "manifest.json")
+          )
+        ).to.be.true;
+        expect(
+          fse.existsSync(path.join(output, ".other-test-fixture.staging"))
+        ).to.be.false;
+
+        done();
+      })().catch(err => {
+        done(err);
+      });
+    });
+  });
+
+  describe("manifest", () => {
+    it("should record the provenance of the generated files", done => {
+      Promise.coroutine(function*() {
+        process.env.SECRET_USERNAME = "myusername";
+        process.env.SECRET_PASSWORD = "mypassword";
+        process.env.GITHUB_TOKEN = "s@mpler@ndomt0ken";
+        fse.mkdirsSync(path.join(os.tmpdir(), "generated"));
+
+        const conf = yield yamlHandler.loadFile("/test/fixture/kit.yaml");
+        yield new Deploymentizer({
+          clean: true,
+          save: true,
+          conf: conf,
+          launchDarkly: mockFlagDefault
+        }).process();
+        // regenerate a single resource, the others are kept
+        yield new Deploymentizer({
+          save: true,
+          conf: conf,
+          deployId: "SOME-SHA",
+          resource: "auth",
+          launchDarkly: mockFlagDefault
+        }).process();
+
+        const dir = path.join(os.tmpdir(), "generated", "test-fixture");
+        const manifest = JSON.parse(
+          fse.readFileSync(path.join(dir, "manifest.json"), "utf8")
+        );
+        const content = fse.readFileSync(
+          path.join(dir, "auth-deployment.yaml"),
+          "utf8"
+        );
+        expect(manifest.cluster).to.equal("test-fixture");
+        expect(manifest.files["auth-deployment.yaml"]).to.deep.equal({
+          resource: "auth",
+          template: "auth/auth-deployment.mustache",
+          images: [
+            "quay.io/invision/node-auth:master-fcd8d28f5eae39427ae9399142e7122a0718e25b"
+          ],
+          branch: "develop",
+          deployId: "SOME-SHA",
+          checksum: `sha256:${crypto
+            .createHash("sha256")
+            .update(content)
+            .digest("hex")}`
+        });
+        expect(manifest.files["auth-svc.yaml"].template).to.equal(
+          "base-svc.mustache"
+        );
+        expect(manifest.files["example-secret.yaml"]).to.include({
+          resource: "envsecret",
+          branch: "testing"
+        });
+        expect(manifest.files["example-secret.yaml"].deployId).to.not.exist;
+
+        done();
+      })().catch(err => {
+        done(err);
+      });
+    });
+  });
+
+  describe("prune", () => {
+    it("should delete files and clusters that were not generated", done => {
+      Promise.coroutine(function*() {
+        process.env.SECRET_USERNAME = "myusername";
+        process.env.SECRET_PASSWORD = "mypassword";
+        process.env.GITHUB_TOKEN = "s@mpler@ndomt0ken";
+        const output = path.join(os.tmpdir(), "generated");
+        fse.mkdirsSync(output);
+
+        const conf = yield yamlHandler.loadFile("/test/fixture/kit.yaml");
+        yield new Deploymentizer({
+          clean: true,
+          save: true,
+          conf: conf,
+          launchDarkly: mockFlagDefault
+        }).process();
+        const dir = path.join(output, "test-fixture");
+        fse.writeFileSync(path.join(dir, "removed-deployment.yaml"), "");
+        fse.mkdirsSync(path.join(output, "removed-fixture"));
+        fse.mkdirsSync(path.join(output, "disabled-test-fixture"));
+
+        const deployer = new Deploymentizer({
+          save: true,
+          prune: true,
+          conf: conf,
+          launchDarkly: mockFlagDefault
+        });
+        let infos = [];
+        deployer.events.on(deployer.events.INFO, msg => infos.push(msg));
+        yield deployer.process();
+
+        expect(
+          fse.existsSync(path.join(dir, "removed-deployment.yaml"))
+        ).to.be.false;
+        expect(
+          fse.existsSync(path.join(dir, "auth-deployment.yaml"))
+        ).to.be.true;
+        expect(fse.existsSync(path.join(dir, "manifest.json"))).to.be.true;
+        expect(
+          fse.existsSync(path.join(output, "removed-fixture"))
+        ).to.be.false;
+        expect(
+          fse.existsSync(path.join(output, "disabled-test-fixture"))
+        ).to.be.false;
+        expect(
+          fse.existsSync(path.join(output, "other-test-fixture"))
+        ).to.be.true;
+        expect(infos).to.include(
+          "Pruning removed-deployment.yaml from cluster test-fixture"
+        );
+        expect(infos).to.include(
+          "Pruning directory of cluster removed-fixture"
+        );
+
+        done();
+      })().catch(err => {
+        done(err);
+      });
+    });
+
+    it("should keep the build cache", done => {
+      Promise.coroutine(function*() {
+        process.env.SECRET_USERNAME = "myusername";
+        process.env.SECRET_PASSWORD = "mypassword";
+        process.env.GITHUB_TOKEN = "s@mpler@ndomt0ken";
+        const conf = yield yamlHandler.loadFile("/test/fixture/kit.yaml");
+        const dir = path.join(os.tmpdir(), "generated", "test-fixture");
+        let infos = [];
+        for (let i = 0; i < 3; i++) {
+          const deployer = new Deploymentizer({
+            clean: i === 0,
+            save: true,
+            prune: i > 0,
+            clusterName: "test-fixture",
+            conf: conf,
+            launchDarkly: mockFlagDefault
+          });
+          deployer.events.on(deployer.events.INFO, msg => infos.push(msg));
+          yield deployer.process();
+        }
+
+        expect(fse.existsSync(path.join(dir, ".kit-cache.json"))).to.be.true;
+        expect(infos).to.not.include(
+          "Pruning .kit-cache.json from cluster test-fixture"
+        );
+        // the last run uses the cache kept by the pruning run before it
+        expect(
+          _.filter(infos, msg =>
+            /^Skipped \d+ unchanged resources in cluster test-fixture$/.test(
+              msg
+            )
+          )
+        ).to.have.length(2);
+
+        done();
+      })().catch(err => {
+        done(err);
+      });
+    });
+  });
+
+  describe("kustomize", () => {
+    // Applies the JSON patch operations created by the overlay
+    function applyPatch(doc, ops) {
+      ops.forEach(op => {
+        const keys = op.path
+          .split("/")
+          .slice(1)
+          .map(key => key.replace(/~1/g, "/").replace(/~0/g, "~"));
+        if (op.op === "remove") {
+          _.unset(doc, keys);
+        } else {
+          _.set(doc, keys, op.value);
+        }
+      });
+      return doc;
+    }
+
+    it("should patch the base into the cluster manifests", done => {
+      Promise.coroutine(function*() {
+        process.env.SECRET_USERNAME = "myusername";
+        process.env.SECRET_PASSWORD = "mypassword";
+        process.env.GITHUB_TOKEN = "s@mpler@ndomt0ken";
+        const generated = path.join(os.tmpdir(), "generated");
+        const kustomized = path.join(os.tmpdir(), "kustomized");
+        fse.mkdirsSync(generated);
+        fse.removeSync(kustomized);
+
+        const conf = yield yamlHandler.loadFile("/test/fixture/kit.yaml");
+        yield new Deploymentizer({
+          clean: true,
+          save: true,
+          conf: conf,
+          launchDarkly: mockFlagDefault
+        }).process();
+        conf.output = { path: kustomized, format: "kustomize" };
+        yield new Deploymentizer({
+          save: true,
+          clusterName: "test-fixture",
+          conf: conf,
+          launchDarkly: mockFlagDefault
+        }).process();
+
+        const base = yaml.safeLoad(
+          fse.readFileSync(path.join(kustomized, "base", "kustomization.yaml"))
+        );
+        expect(base.resources).to.include("auth-deployment.yaml");
+        const dir = path.join(kustomized, "test-fixture");
+        const overlay = yaml.safeLoad(
+          fse.readFileSync(path.join(dir, "kustomization.yaml"))
+        );
+        expect(overlay.resources[0]).to.equal("../base");
+        expect(overlay.patchesJson6902).to.not.be.empty;
+        // objects of a directory by kind and name
+        const objects = dir =>
+          _.keyBy(
+            fse
+              .readdirSync(dir)
+              .filter(
+                file =>
+                  path.extname(file) === ".yaml" &&
+                  file !== "kustomization.yaml"
+              )
+              .map(file =>
+                yaml.safeLoad(fse.readFileSync(path.join(dir, file)))
+              ),
+            doc => `${doc.kind}/${doc.metadata.name}`
+          );
+        const baseObjects = objects(path.join(kustomized, "base"));
+        const expected = objects(path.join(generated, "test-fixture"));
+        overlay.patchesJson6902.forEach(patch => {
+          const key = `${patch.target.kind}/${patch.target.name}`;
+          const doc = applyPatch(
+            baseObjects[key],
+            yaml.safeLoad(fse.readFileSync(path.join(dir, patch.path), "utf8"))
+          );
+          expect(doc).to.deep.equal(expected[key]);
+        });
+        fse.removeSync(kustomized);
+
+        done();
+      })().catch(err => {
+        done(err);
+      });
+    });
+  });
+
+  describe("export", () => {
+    it("should export a chart with the values of each cluster", done => {
+      Promise.coroutine(function*() {
+        process.env.SECRET_USERNAME = "myusername";
+        process.env.SECRET_PASSWORD = "mypassword";
+        process.env.GITHUB_TOKEN = "s@mpler@ndomt0ken";
+        const chartDir = path.join(os.tmpdir(), "chart", "fixture");
+        const conf = yield yamlHandler.loadFile("/test/fixture/kit.yaml");
+        yield new Deploymentizer({
+          conf: conf,
+          launchDarkly: mockFlagDefault
+        }).exportChart(chartDir);
+
+        const chart = yield yamlHandler.loadFile(
+          path.join(chartDir, "Chart.yaml")
+        );
+        expect(chart.name).to.equal("fixture");
+        expect(
+          fse.readdirSync(path.join(chartDir, "templates")).sort()
+        ).to.deep.equal([
+          "activity-deployment.yaml",
+          "activity-hpa.yaml",
+          "activity-svc.yaml",
+          "auth-deployment.yaml",
+          "auth-svc.yaml",
+          "auth-two-containers-deployment.yaml",
+          "auth-two-containers-svc.yaml",
+          "example-secret.yaml"
+        ]);
+        const template = fse.readFileSync(
+          path.join(chartDir, "templates", "auth-deployment.yaml"),
+          "utf8"
+        );
+        expect(template).to.contain("{{- if $r.enabled }}");
+        expect(template).to.contain(
+          'image: {{ (index $r "auth-con" "image") }}'
+        );
+
+        const values = yield yamlHandler.loadFile(
+          path.join(chartDir, "values.yaml")
+        );
+        expect(values.deployment.replicaCount).to.equal(5);
+        expect(values.resources.auth.enabled).to.be.true;
+        expect(values.resources.auth.branch).to.equal("develop");
+        expect(values.resources.auth).to.not.have.property("deployment");
+
+        // merged with the type and the base, disabled resources are not installed
+        const clusterValues = yield yamlHandler.loadFile(
+          path.join(chartDir, "values-test-fixture.yaml")
+        );
+        expect(clusterValues.resources.activity).to.deep.equal({
+          enabled: false
+        });
+        expect(clusterValues.resources.auth.enabled).to.be.true;
+        expect(
+          fse.existsSync(
+            path.join(chartDir, "values-disabled-test-fixture.yaml")
+          )
+        ).to.be.false;
+        fse.removeSync(path.join(os.tmpdir(), "chart"));
+
+        done();
+      })().catch(err => {
+        done(err);
+      });
+    });
+  });
+
+  describe("diff files", () => {
+    it("should report differences without saving", done => {
+      Promise.coroutine(function*() {
+        process.env.SECRET_USERNAME = "myusername";
+        process.env.SECRET_PASSWORD = "mypassword";
+        process.env.GITHUB_TOKEN = "s@mpler@ndomt0ken";
+        fse.mkdirsSync(path.join(os.tmpdir(), "generated"));
+
+        const conf = yield yamlHandler.loadFile("/test/fixture/kit.yaml");
+        const options = {
+          clean: true,
+          save: true,
+          conf: conf,
+          clusterName: "test-fixture",
+          launchDarkly: mockFlagDefault
+        };
+        yield new Deploymentizer(options).process();
+
+        options.diff = true;
+        let results = yield new Deploymentizer(options).process();
+        expect(results.length).to.equal(1);
+        expect(results[0].cluster).to.equal("test-fixture");
+        expect(results[0].changed).to.be.empty;
+        expect(results[0].created).to.be.empty;
+        expect(results[0].deleted).to.be.empty;
+
+        const clusterDir = path.join(os.tmpdir(), "generated", "test-fixture");
+        fse.writeFileSync(path.join(clusterDir, "auth-svc.yaml"), "old\n");
+        fse.writeFileSync(path.join(clusterDir, "stale.yaml"), "stale\n");
+        fse.removeSync(path.join(clusterDir, "example-secret.yaml"));
+
+        results = yield new Deploymentizer(options).process();
+        expect(results[0].changed).to.deep.equal(["auth-svc.yaml"]);
+        expect(results[0].created).to.deep.equal(["example-secret.yaml"]);
+        expect(results[0].deleted).to.deep.equal(["stale.yaml"]);
+        // nothing was saved or cleaned
+        expect(
+          fse.readFileSync(path.join(clusterDir, "auth-svc.yaml"), "utf8")
+        ).to.equal("old\n");
+        expect(fse.existsSync(path.join(clusterDir, "stale.yaml"))).to.be.true;
+        expect(
+          fse.existsSync(path.join(clusterDir, "example-secret.yaml"))
+        ).to.be.false;
+
+        done();
+      })().catch(err => {
+        done(err);
+      });
+    });
+  });
 });
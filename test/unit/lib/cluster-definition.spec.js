@@ -27,6 +27,16 @@ describe("Cluster Definitions", () => {
       expect(fn).to.throw();
     });
 
+    it("Should read the strict flag", () => {
+      const cluster = {
+        kind: "ClusterNamespace",
+        metadata: { name: "test-1", type: "develop" }
+      };
+      expect(new ClusterDefinition(cluster).strict()).to.equal(false);
+      cluster.metadata.strict = true;
+      expect(new ClusterDefinition(cluster).strict()).to.equal(true);
+    });
+
     it("Should merge clusterNamespace", () => {
       const cluster = {
         kind: "ClusterNamespace",
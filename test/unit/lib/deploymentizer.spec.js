@@ -75,6 +75,165 @@ describe("Deploymentizer", () => {
         "/test/fixture/resources"
       );
     });
+    it("should map template engine modules with workdir", () => {
+      const conf = {
+        base: { path: "/test/fixture" },
+        output: { path: "/generated" },
+        cluster: { path: "/test/fixture/clusters" },
+        images: { path: "/test/fixture/images" },
+        type: { path: "/test/fixture/type" },
+        resources: { path: "/test/fixture/resources" },
+        templates: {
+          engines: {
+            ".tpl": "./engines/tpl.js",
+            ".yml": "handlebars"
+          }
+        }
+      };
+      const deploymentizer = new Deploymentizer({
+        workdir: "/sample",
+        conf: conf
+      });
+      expect(deploymentizer.options.engines).to.deep.equal({
+        ".tpl": "/sample/engines/tpl.js",
+        ".yml": "handlebars"
+      });
+    });
+    it("should map the partials path with workdir", () => {
+      const conf = {
+        base: { path: "/test/fixture" },
+        output: { path: "/generated" },
+        cluster: { path: "/test/fixture/clusters" },
+        images: { path: "/test/fixture/images" },
+        type: { path: "/test/fixture/type" },
+        resources: { path: "/test/fixture/resources" },
+        partials: { path: "./partials" }
+      };
+      const deploymentizer = new Deploymentizer({
+        workdir: "/sample",
+        conf: conf
+      });
+      expect(deploymentizer.paths.partials).to.equal("/sample/partials");
+    });
+    it("should set the output layout", () => {
+      const conf = {
+        base: { path: "/test/fixture" },
+        output: { path: "/generated", layout: "cluster" },
+        cluster: { path: "/test/fixture/clusters" },
+        images: { path: "/test/fixture/images" },
+        type: { path: "/test/fixture/type" },
+        resources: { path: "/test/fixture/resources" }
+      };
+      const deploymentizer = new Deploymentizer({ conf: conf });
+      expect(deploymentizer.options.layout).to.equal("cluster");
+    });
+    it("should set the enrichment", () => {
+      const enrich = { labels: { "app.kubernetes.io/name": "resource" } };
+      const conf = {
+        base: { path: "/test/fixture" },
+        output: { path: "/generated" },
+        cluster: { path: "/test/fixture/clusters" },
+        images: { path: "/test/fixture/images" },
+        type: { path: "/test/fixture/type" },
+        resources: { path: "/test/fixture/resources" },
+        enrich: enrich
+      };
+      const deploymentizer = new Deploymentizer({ conf: conf });
+      expect(deploymentizer.options.enrich).to.deep.equal(enrich);
+    });
+    it("should set digest pinning", () => {
+      const conf = {
+        base: { path: "/test/fixture" },
+        output: { path: "/generated" },
+        cluster: { path: "/test/fixture/clusters" },
+        images: { path: "/test/fixture/images", pinDigests: true },
+        type: { path: "/test/fixture/type" },
+        resources: { path: "/test/fixture/resources" }
+      };
+      const deploymentizer = new Deploymentizer({ conf: conf });
+      expect(deploymentizer.options.pinDigests).to.equal(true);
+    });
+    it("should set the image naming", () => {
+      const naming = {
+        registry: "docker.invision.works:5000",
+        template: "{{registry}}/{{image_tag}}:{{branch}}-{{commitId}}"
+      };
+      const conf = {
+        base: { path: "/test/fixture" },
+        output: { path: "/generated" },
+        cluster: { path: "/test/fixture/clusters" },
+        images: { path: "/test/fixture/images", naming: naming },
+        type: { path: "/test/fixture/type" },
+        resources: { path: "/test/fixture/resources" }
+      };
+      const deploymentizer = new Deploymentizer({ conf: conf });
+      expect(deploymentizer.options.imageNaming).to.deep.equal(naming);
+    });
+    it("should set the feature flag provider", () => {
+      const conf = {
+        base: { path: "/test/fixture" },
+        output: { path: "/generated" },
+        cluster: { path: "/test/fixture/clusters" },
+        images: { path: "/test/fixture/images" },
+        type: { path: "/test/fixture/type" },
+        resources: { path: "/test/fixture/resources" },
+        flags: {
+          provider: "file",
+          options: { path: "flags.json" },
+          names: { "kit-deploymentizer-78-image-sha": "image-sha" }
+        }
+      };
+      const deploymentizer = new Deploymentizer({
+        conf: conf,
+        workdir: "/test/fixture"
+      });
+      expect(deploymentizer.options.flags).to.deep.equal({
+        provider: "file",
+        options: { path: "/test/fixture/flags.json" },
+        names: { "kit-deploymentizer-78-image-sha": "image-sha" }
+      });
+    });
+    it("should set the image policy", () => {
+      const imagePolicy = {
+        default: { bannedTags: ["latest"] },
+        production: { registries: ["quay.io"], requireDigest: true }
+      };
+      const conf = {
+        base: { path: "/test/fixture" },
+        output: { path: "/generated" },
+        cluster: { path: "/test/fixture/clusters" },
+        images: { path: "/test/fixture/images" },
+        type: { path: "/test/fixture/type" },
+        resources: { path: "/test/fixture/resources" },
+        imagePolicy: imagePolicy
+      };
+      const deploymentizer = new Deploymentizer({ conf: conf });
+      expect(deploymentizer.options.imagePolicy).to.deep.equal(imagePolicy);
+    });
+    it("should pass the feature flags to the configuration plugin", () => {
+      const launchDarkly = { toggle: () => Promise.resolve(true) };
+      const conf = {
+        base: { path: "/test/fixture" },
+        output: { path: "/generated" },
+        cluster: { path: "/test/fixture/clusters" },
+        images: { path: "/test/fixture/images" },
+        type: { path: "/test/fixture/type" },
+        resources: { path: "/test/fixture/resources" },
+        plugin: {
+          path: "/src/plugin/file-config",
+          options: { configPath: "/test/fixture/config" }
+        }
+      };
+      const deploymentizer = new Deploymentizer({
+        conf: conf,
+        launchDarkly: launchDarkly
+      });
+      return deploymentizer.loadDefinitions().then(() => {
+        const options = deploymentizer.options.configPlugin.options;
+        expect(options.flags).to.equal(deploymentizer.flags);
+        expect(options.launchDarkly).to.equal(launchDarkly);
+      });
+    });
     it("should fail with invalid conf", done => {
       const options = {
         elroyUrl: "http://elroy-svc.tools.svc.cluster.local/",
@@ -91,6 +250,68 @@ describe("Deploymentizer", () => {
       }
     });
   });
+  describe("validation", () => {
+    const invalidConf = {
+      base: { path: "/test/fixture/invalid" },
+      output: { path: "/generated" },
+      cluster: { path: "/test/fixture/invalid/clusters" },
+      images: { path: "/test/fixture/invalid/images" },
+      type: { path: "/test/fixture/invalid/type" },
+      resources: { path: "/test/fixture/resources" },
+      plugn: { path: "../plugin/file-config" }
+    };
+
+    it("should validate the fixtures", () => {
+      const conf = {
+        version: "2",
+        base: { path: "/test/fixture" },
+        output: { path: "/generated" },
+        cluster: { path: "/test/fixture/clusters" },
+        images: { path: "/test/fixture/images" },
+        type: { path: "/test/fixture/type" },
+        resources: { path: "/test/fixture/resources" }
+      };
+      const deploymentizer = new Deploymentizer({ conf: conf });
+      return deploymentizer.validate().then(errors => {
+        expect(errors).to.be.empty;
+      });
+    });
+
+    it("should report errors for all invalid files", () => {
+      const deploymentizer = new Deploymentizer({
+        conf: invalidConf,
+        confPath: "/test/fixture/invalid/kit.yaml"
+      });
+      return deploymentizer.validate().then(errors => {
+        expect(errors).to.deep.equal([
+          "/test/fixture/invalid/kit.yaml: plugn is not a supported property",
+          "/test/fixture/invalid/base-var.yaml: imagePullSecrets.0.secret is required",
+          "/test/fixture/invalid/type/develop-var.yaml: metadata is required",
+          "/test/fixture/invalid/clusters/bad-cluster/cluster.yaml: metadata.disabel is not a supported property",
+          "/test/fixture/invalid/clusters/bad-cluster/cluster.yaml: metadata.type is required",
+          "/test/fixture/invalid/clusters/bad-cluster/cluster.yaml: resources.auth.svc.labels should be array",
+          '/test/fixture/invalid/clusters/bad-cluster/configuration-var.yaml: kind should be "ResourceConfig"',
+          "/test/fixture/invalid/images/invision/node-auth/develop.yaml: image is required"
+        ]);
+      });
+    });
+
+    it("should not process invalid files", done => {
+      const deploymentizer = new Deploymentizer({ conf: invalidConf });
+      deploymentizer
+        .process()
+        .then(() => {
+          done(new Error("Should have failed"));
+        })
+        .catch(err => {
+          expect(err.message).to.contain("Validation failed:");
+          expect(err.message).to.contain("metadata.disabel");
+          done();
+        })
+        .catch(done);
+    });
+  });
+
   after(function(done) {
     mockery.disable();
     mockery.deregisterAll();
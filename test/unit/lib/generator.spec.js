@@ -1,10 +1,15 @@
 "use strict";
 
+const _ = require("lodash");
 const os = require("os");
+const yaml = require("js-yaml");
 const Promise = require("bluebird");
 const YamlHandler = require("../../../src/util/yaml-handler");
 const EventHandler = require("../../../src/util/event-handler");
+const ManifestHandler = require("../../../src/util/manifest-handler");
 const Generator = require("../../../src/lib/generator");
+const WorkQueue = require("../../../src/util/work-queue");
+const ClusterDefinition = require("../../../src/lib/cluster-definition");
 const fse = require("fs-extra");
 const path = require("path");
 const chai = require("chai");
@@ -26,6 +31,89 @@ const configStub = {
   }
 };
 
+// Resources rendered from the extra templates, with two files and one renamed file
+const extraResources = {
+  example: {
+    files: ["./extra/example-pdb.mustache", "./extra/example-config.yaml"],
+    image: "quay.io/invision/example:develop-abc1"
+  },
+  other: {
+    files: [{ file: "./extra/example-pdb.mustache", name: "other-pdb" }],
+    image: "quay.io/invision/other:develop-abc1"
+  }
+};
+
+/**
+ * Creates a temporary output directory for each test of the calling describe.
+ * @return {Function} returning the directory of the running test
+ */
+function outputDirectory() {
+  let dir;
+  beforeEach(() => {
+    dir = fse.mkdtempSync(path.join(os.tmpdir(), "kit-generator-"));
+  });
+  afterEach(() => {
+    fse.removeSync(dir);
+  });
+  return () => dir;
+}
+
+/**
+ * Generates and saves a test cluster rendering the fixture resources.
+ * @param  {string} dir       output directory
+ * @param  {{}}     metadata  of the cluster, the type defaults to test
+ * @param  {{}}     resources of the cluster
+ * @param  {{}}     options   (optional) of the generator
+ * @param  {string} resource  (optional) single resource to generate
+ * @return {[type]}           Promise fulfilled with the generator
+ */
+function generateCluster(dir, metadata, resources, options, resource) {
+  const clusterDef = new ClusterDefinition({
+    kind: "ClusterNamespace",
+    metadata: _.assign({ type: "test" }, metadata),
+    resources: resources
+  });
+  const generator = new Generator(
+    clusterDef,
+    {},
+    "./test/fixture/resources",
+    dir,
+    true,
+    undefined,
+    resource,
+    new EventHandler(),
+    undefined,
+    undefined,
+    undefined,
+    undefined,
+    options
+  );
+  return generator.process().then(() => generator);
+}
+
+/**
+ * Reads the saved manifest files of a cluster, skipping hidden files.
+ * @param  {string}   output directory of the cluster
+ * @param  {Function} map    called with the objects of each file
+ * @return {{}}              result of map by file name
+ */
+function readOutput(output, map) {
+  return _.fromPairs(
+    fse
+      .readdirSync(output)
+      .filter(file => file[0] !== ".")
+      .sort()
+      .map(file => [
+        file,
+        map(
+          ManifestHandler.parse(
+            fse.readFileSync(path.join(output, file), "utf8")
+          )
+        )
+      ])
+  );
+}
+
 describe("Generator", () => {
   it("should not fail with empty cluster", () => {
     return YamlHandler.loadClusterDefinitions(
@@ -82,6 +170,945 @@ describe("Generator", () => {
     });
   });
 
+  describe("Service templates", () => {
+    function renderServices(clusterIndex, svc) {
+      return YamlHandler.loadClusterDefinitions(
+        "./test/fixture/clusters"
+      ).should.be.fulfilled.then(clusterDefs => {
+        const generator = new Generator(
+          clusterDefs[clusterIndex],
+          {},
+          "./test/fixture/services",
+          os.tmpdir(),
+          false,
+          undefined,
+          undefined,
+          new EventHandler()
+        );
+        return generator
+          .processService({ svc: svc }, { name: "auth" })
+          .then(() => {
+            return _.mapValues(
+              generator.files,
+              file => yaml.safeLoad(file.content).metadata.labels.template
+            );
+          });
+      });
+    }
+
+    it("should fall back to the base template", () => {
+      return renderServices(3, { name: "auth-svc" }).should.eventually.eql({
+        "auth-svc.yaml": "base"
+      });
+    });
+
+    it("should use the template of the cluster type", () => {
+      return renderServices(2, { name: "auth-svc" }).should.eventually.eql({
+        "auth-svc.yaml": "develop"
+      });
+    });
+
+    it("should use the template of the service", () => {
+      return renderServices(2, {
+        name: "auth-svc",
+        template: "headless-svc.hbs"
+      }).should.eventually.eql({ "auth-svc.yaml": "headless" });
+    });
+
+    it("should render every service of a resource", () => {
+      return renderServices(3, [
+        { name: "auth-svc" },
+        { name: "auth-headless-svc", template: "headless-svc.hbs" }
+      ]).should.eventually.eql({
+        "auth-svc.yaml": "base",
+        "auth-headless-svc.yaml": "headless"
+      });
+    });
+
+    it("should fail for services with the same name", () => {
+      return renderServices(3, [
+        { name: "auth-svc" },
+        { name: "auth-svc", template: "headless-svc.hbs" }
+      ]).should.be.rejectedWith(
+        "Service auth-svc is defined more than once for resource auth"
+      );
+    });
+  });
+
+  describe("Resource files", () => {
+    function processFiles(resource) {
+      return YamlHandler.loadClusterDefinitions(
+        "./test/fixture/clusters"
+      ).should.be.fulfilled.then(clusterDefs => {
+        const generator = new Generator(
+          clusterDefs[3],
+          {},
+          "./test/fixture/resources",
+          os.tmpdir(),
+          false,
+          undefined,
+          undefined,
+          new EventHandler()
+        );
+        return generator
+          .processSingleResource("example", resource)
+          .then(() => generator.files);
+      });
+    }
+
+    it("should generate the file followed by the files of a resource", () => {
+      return processFiles({
+        file: "./extra/example-config.yaml",
+        files: ["./extra/example-pdb.mustache"],
+        image: "quay.io/invision/example:develop-abc1"
+      }).then(files => {
+        expect(Object.keys(files)).to.deep.equal([
+          "example-config.yaml",
+          "example-pdb.yaml"
+        ]);
+      });
+    });
+
+    it("should render files with the resource configuration", () => {
+      return processFiles({
+        files: [
+          "./extra/example-pdb.mustache",
+          { file: "./extra/example-config.yaml", name: "example-settings" }
+        ],
+        image: "quay.io/invision/example:develop-abc1"
+      }).then(files => {
+        expect(Object.keys(files)).to.deep.equal([
+          "example-pdb.yaml",
+          "example-settings.yaml"
+        ]);
+        expect(
+          yaml.safeLoad(files["example-pdb.yaml"].content).metadata.name
+        ).to.equal("example-pdb");
+        expect(files["example-settings.yaml"].resource).to.equal("example");
+      });
+    });
+
+    it("should fail for files with the same name", () => {
+      return processFiles({
+        files: [
+          "./extra/example-pdb.mustache",
+          { file: "./extra/example-config.yaml", name: "example-pdb" }
+        ],
+        image: "quay.io/invision/example:develop-abc1"
+      }).should.be.rejectedWith(
+        "File example-pdb is generated more than once for resource example"
+      );
+    });
+  });
+
+  describe("Build cache", () => {
+    const outputDir = outputDirectory();
+
+    function generate(resources, options) {
+      return generateCluster(
+        outputDir(),
+        { name: "cache-fixture" },
+        resources,
+        options
+      );
+    }
+
+    const example = {
+      files: ["./extra/example-pdb.mustache"],
+      image: "quay.io/invision/example:develop-abc1"
+    };
+
+    it("should skip resources whose inputs did not change", () => {
+      return generate({ example: example })
+        .then(generator => {
+          expect(generator.skipped).to.deep.equal([]);
+          expect(Object.keys(generator.files)).to.deep.equal([
+            "example-pdb.yaml"
+          ]);
+          return generate({ example: example });
+        })
+        .then(generator => {
+          expect(generator.skipped).to.deep.equal(["example"]);
+          expect(generator.files).to.deep.equal({});
+        });
+    });
+
+    it("should render resources whose inputs changed", () => {
+      return generate({ example: example })
+        .then(() =>
+          generate({
+            example: _.assign({}, example, {
+              image: "quay.io/invision/example:develop-abc2"
+            })
+          })
+        )
+        .then(generator => {
+          expect(generator.skipped).to.deep.equal([]);
+          expect(Object.keys(generator.files)).to.deep.equal([
+            "example-pdb.yaml"
+          ]);
+        });
+    });
+
+    it("should render resources whose files were removed", () => {
+      return generate({ example: example })
+        .then(() => {
+          fse.removeSync(
+            path.join(outputDir(), "cache-fixture", "example-pdb.yaml")
+          );
+          return generate({ example: example });
+        })
+        .then(generator => {
+          expect(generator.skipped).to.deep.equal([]);
+        });
+    });
+
+    it("should keep the last good output if a resource fails", () => {
+      const output = path.join(outputDir(), "cache-fixture");
+      return generate({ example: example })
+        .then(() =>
+          generate({
+            example: _.assign({}, example, {
+              files: [
+                "./extra/example-pdb.mustache",
+                "./extra/example-config.yaml"
+              ]
+            }),
+            broken: { file: "./extra/missing.mustache" }
+          }).should.be.rejectedWith("ENOENT")
+        )
+        .then(() => {
+          expect(fse.readdirSync(outputDir())).to.deep.equal(["cache-fixture"]);
+          expect(fse.readdirSync(output).sort()).to.deep.equal([
+            ".kit-cache.json",
+            "example-pdb.yaml"
+          ]);
+        });
+    });
+
+    it("should render all resources when the layout changed", () => {
+      return generate({ example: example })
+        .then(() => generate({ example: example }, { layout: "resource" }))
+        .then(generator => {
+          expect(generator.skipped).to.deep.equal([]);
+          expect(
+            fse.readdirSync(path.join(outputDir(), "cache-fixture"))
+          ).to.include("example.yaml");
+        });
+    });
+
+    it("should render all resources when the format changed", () => {
+      return generate({ example: example })
+        .then(() => generate({ example: example }, { format: "json" }))
+        .then(generator => {
+          expect(generator.skipped).to.deep.equal([]);
+          expect(
+            fse.readdirSync(path.join(outputDir(), "cache-fixture"))
+          ).to.include("example-pdb.json");
+        });
+    });
+
+    it("should render all resources when forced", () => {
+      return generate({ example: example })
+        .then(() => generate({ example: example }, { force: true }))
+        .then(generator => {
+          expect(generator.skipped).to.deep.equal([]);
+          expect(Object.keys(generator.files)).to.deep.equal([
+            "example-pdb.yaml"
+          ]);
+        });
+    });
+  });
+
+  describe("Concurrency", () => {
+    const outputDir = outputDirectory();
+
+    it("should process the resources of all clusters through a shared queue", () => {
+      const queue = new WorkQueue(1);
+      let stats = { pushed: 0, max: 0 };
+      const map = queue.map.bind(queue);
+      queue.map = (items, task) => {
+        stats.pushed += items.length;
+        return map(items, (item, i) => {
+          stats.max = Math.max(stats.max, queue.running);
+          return task(item, i);
+        });
+      };
+      return Promise.all(
+        ["one-fixture", "two-fixture"].map(name =>
+          generateCluster(outputDir(), { name: name }, extraResources, {
+            concurrency: 4,
+            queue: queue
+          })
+        )
+      ).then(() => {
+        expect(stats.pushed).to.equal(4);
+        expect(stats.max).to.equal(1);
+      });
+    });
+  });
+
+  describe("Failures", () => {
+    const outputDir = outputDirectory();
+
+    function snapshot(output) {
+      return _.fromPairs(
+        fse
+          .readdirSync(output)
+          .sort()
+          .map(file => [
+            file,
+            fse.readFileSync(path.join(output, file), "utf8")
+          ])
+      );
+    }
+
+    it("should leave the cluster directory unchanged when a resource fails", () => {
+      const metadata = { name: "failure-fixture" };
+      const output = path.join(outputDir(), "failure-fixture");
+      return generateCluster(outputDir(), metadata, {
+        other: extraResources.other
+      })
+        .then(() => {
+          const before = snapshot(output);
+          const resources = _.assign(
+            { broken: { files: ["./extra/missing.mustache"] } },
+            extraResources
+          );
+          const queue = new WorkQueue(1);
+          return (
+            generateCluster(outputDir(), metadata, resources, {
+              concurrency: 1,
+              queue: queue
+            })
+              .should.be.rejectedWith("ENOENT")
+              // runs once the tasks queued before it have finished
+              .then(() => queue.push(() => before))
+          );
+        })
+        .then(before => {
+          expect(snapshot(output)).to.deep.equal(before);
+          expect(fse.readdirSync(outputDir())).to.deep.equal([
+            "failure-fixture"
+          ]);
+        });
+    });
+  });
+
+  describe("Output layouts", () => {
+    const outputDir = outputDirectory();
+
+    function generate(layout, resource, format) {
+      return generateCluster(
+        outputDir(),
+        { name: "layout-fixture" },
+        extraResources,
+        { layout: layout, format: format },
+        resource
+      ).then(() =>
+        readOutput(path.join(outputDir(), "layout-fixture"), docs =>
+          _.map(docs, "metadata.name")
+        )
+      );
+    }
+
+    it("should save one file per template by default", () => {
+      return generate().should.eventually.deep.equal({
+        "example-config.yaml": ["example-config"],
+        "example-pdb.yaml": ["example-pdb"],
+        "other-pdb.yaml": ["other-pdb"]
+      });
+    });
+
+    it("should save one file per resource", () => {
+      return generate("resource").should.eventually.deep.equal({
+        "example.yaml": ["example-config", "example-pdb"],
+        "other.yaml": ["other-pdb"]
+      });
+    });
+
+    it("should save one file per cluster", () => {
+      return generate("cluster").should.eventually.deep.equal({
+        "all.yaml": ["example-config", "example-pdb", "other-pdb"]
+      });
+    });
+
+    it("should save JSON files", () => {
+      return generate("resource", undefined, "json").then(files => {
+        expect(Object.keys(files)).to.deep.equal([
+          "example.json",
+          "other.json"
+        ]);
+        const example = JSON.parse(
+          fse.readFileSync(
+            path.join(outputDir(), "layout-fixture", "example.json"),
+            "utf8"
+          )
+        );
+        expect(example.kind).to.equal("List");
+        expect(_.map(example.items, "metadata.name")).to.deep.equal([
+          "example-config",
+          "example-pdb"
+        ]);
+      });
+    });
+
+    it("should not generate a single resource per cluster", () => {
+      return generate("cluster", "example").should.be.rejectedWith(
+        "Single resources cannot be generated with the cluster layout"
+      );
+    });
+  });
+
+  describe("Namespaces", () => {
+    const outputDir = outputDirectory();
+
+    function generate(metadata, layout) {
+      return generateCluster(
+        outputDir(),
+        _.assign({ name: "namespace-fixture" }, metadata),
+        _.merge({}, extraResources, { other: { namespace: "other" } }),
+        { layout: layout }
+      ).then(() =>
+        readOutput(path.join(outputDir(), "namespace-fixture"), docs =>
+          docs.map(doc => `${doc.kind}/${doc.metadata.namespace}`)
+        )
+      );
+    }
+
+    it("should not set a namespace by default", () => {
+      return generate().should.eventually.deep.equal({
+        "example-config.yaml": ["ConfigMap/undefined"],
+        "example-pdb.yaml": ["PodDisruptionBudget/undefined"],
+        "other-pdb.yaml": ["PodDisruptionBudget/other"]
+      });
+    });
+
+    it("should set the namespace of the cluster or resource", () => {
+      return generate({ namespace: "team" }).should.eventually.deep.equal({
+        "example-config.yaml": ["ConfigMap/team"],
+        "example-pdb.yaml": ["PodDisruptionBudget/team"],
+        "other-pdb.yaml": ["PodDisruptionBudget/other"]
+      });
+    });
+
+    it("should create the Namespace manifest", () => {
+      return generate(
+        { namespace: "team", createNamespace: true },
+        "cluster"
+      ).should.eventually.deep.equal({
+        "all.yaml": [
+          "Namespace/undefined",
+          "ConfigMap/team",
+          "PodDisruptionBudget/team",
+          "PodDisruptionBudget/other"
+        ]
+      });
+    });
+
+    it("should save the Namespace manifest in its own file", () => {
+      return generate({
+        namespace: "team",
+        createNamespace: true
+      }).then(files => {
+        expect(files["namespace.yaml"]).to.deep.equal(["Namespace/undefined"]);
+      });
+    });
+  });
+
+  describe("Enrichment", () => {
+    it("should add the configured labels and annotations", () => {
+      const clusterDef = new ClusterDefinition({
+        kind: "ClusterNamespace",
+        metadata: { name: "enrich-fixture", type: "test", branch: "develop" },
+        resources: {
+          example: {
+            file: "./extra/example-pdb.mustache",
+            image: "quay.io:443/invision/example:develop-abc1"
+          }
+        }
+      });
+      const generator = new Generator(
+        clusterDef,
+        {},
+        "./test/fixture/resources",
+        "/tmp",
+        false,
+        undefined,
+        undefined,
+        new EventHandler(),
+        "deploy-1",
+        undefined,
+        "abc1",
+        undefined,
+        {
+          enrich: {
+            labels: {
+              "app.kubernetes.io/name": "resource",
+              "kit-deploymentizer/cluster": "cluster",
+              "kit-deploymentizer/image-tag": "imageTag",
+              "kit-deploymentizer/deploy": "deployId"
+            },
+            annotations: {
+              "kit-deploymentizer/commit": "commitId",
+              "kit-deploymentizer/cluster-type": "clusterType",
+              "kit-deploymentizer/version": "version"
+            }
+          }
+        }
+      );
+      return generator.process().then(() => {
+        const doc = ManifestHandler.parse(
+          generator.files["example-pdb.yaml"].content
+        )[0];
+        expect(doc.metadata.labels).to.deep.equal({
+          "app.kubernetes.io/name": "example",
+          "kit-deploymentizer/cluster": "enrich-fixture",
+          "kit-deploymentizer/image-tag": "develop-abc1",
+          "kit-deploymentizer/deploy": "deploy-1"
+        });
+        expect(doc.metadata.annotations).to.deep.equal({
+          "kit-deploymentizer/commit": "abc1",
+          "kit-deploymentizer/cluster-type": "test",
+          "kit-deploymentizer/version": require("../../../package.json").version
+        });
+      });
+    });
+  });
+
+  describe("Digest pinning", () => {
+    const digest =
+      "sha256:4f53cda18c2baa0c0354bb5f9a3ecbe5ed12ab4d8e11ba873c2f11161202b945";
+    const imageResources = {
+      "node-auth": {
+        develop: {
+          image: "quay.io/invision/node-auth:develop-abc2",
+          digest: digest
+        },
+        testing: {
+          image: "quay.io/invision/node-auth:testing-abc1",
+          digest: digest
+        }
+      }
+    };
+
+    it("should pin images by digest and annotate their tags", () => {
+      return YamlHandler.loadClusterDefinitions(
+        "./test/fixture/clusters"
+      ).should.be.fulfilled.then(clusterDefs => {
+        const clusterDef = clusterDefs[3];
+        const generator = new Generator(
+          clusterDef,
+          imageResources,
+          "./test/fixture/resources",
+          os.tmpdir(),
+          false,
+          configStub,
+          undefined,
+          new EventHandler(),
+          undefined,
+          undefined,
+          undefined,
+          undefined,
+          { pinDigests: true }
+        );
+        clusterDef.resources().auth.containers["auth-con"].image_tag =
+          "node-auth";
+        return generator
+          ._createLocalConfiguration(
+            clusterDef.configuration(),
+            "auth",
+            clusterDef.resources().auth
+          )
+          .should.be.fulfilled.then(config => {
+            const image = config["auth-con"].image;
+            expect(image).to.equal(`quay.io/invision/node-auth@${digest}`);
+            const original = generator.pinned[image];
+            expect(original).to.match(/^quay.io\/invision\/node-auth:/);
+            return generator
+              .saveFile(
+                "auth",
+                "auth-deployment",
+                [
+                  "apiVersion: extensions/v1beta1",
+                  "kind: Deployment",
+                  "metadata:",
+                  "  name: auth",
+                  "spec:",
+                  "  template:",
+                  "    spec:",
+                  "      containers:",
+                  "        - name: auth",
+                  `          image: ${image}`,
+                  ""
+                ].join("\n")
+              )
+              .then(() => {
+                const doc = ManifestHandler.parse(
+                  generator.files["auth-deployment.yaml"].content
+                )[0];
+                expect(doc.metadata.annotations).to.deep.equal({
+                  "kit-deploymentizer/images": original
+                });
+              });
+          });
+      });
+    });
+
+    it("should pin images built from the commit SHA", () => {
+      const sha = "3154cf1fff0c547c9628c266f6c013b53228fdc8";
+      const image = `quay.io/invision/node-auth:release-${sha}`;
+      let digested = [];
+      const imageResolver = {
+        resolve: () => {
+          throw new Error("primary images are not resolved");
+        },
+        digest: name => {
+          digested.push(name);
+          return Promise.resolve(digest);
+        }
+      };
+      const mockLaunchDarkly = {
+        toggle: () => Promise.resolve(true)
+      };
+      return YamlHandler.loadClusterDefinitions(
+        "./test/fixture/clusters"
+      ).should.be.fulfilled.then(clusterDefs => {
+        const clusterDef = clusterDefs[3];
+        const generator = new Generator(
+          clusterDef,
+          imageResources,
+          "./test/fixture/resources",
+          os.tmpdir(),
+          false,
+          configStub,
+          undefined,
+          new EventHandler(),
+          undefined,
+          undefined,
+          sha,
+          mockLaunchDarkly,
+          { pinDigests: true, imageResolver: imageResolver }
+        );
+        clusterDef.resources().auth.containers["auth-con"].image_tag =
+          "invision/node-auth";
+        return generator
+          ._createLocalConfiguration(
+            clusterDef.configuration(),
+            "auth",
+            clusterDef.resources().auth
+          )
+          .should.be.fulfilled.then(config => {
+            expect(digested).to.deep.equal([image]);
+            expect(config["auth-con"].image).to.equal(
+              `quay.io/invision/node-auth@${digest}`
+            );
+            expect(generator.pinned[config["auth-con"].image]).to.equal(image);
+          });
+      });
+    });
+
+    it("should not pin images without a digest", () => {
+      return YamlHandler.loadClusterDefinitions(
+        "./test/fixture/clusters"
+      ).should.be.fulfilled.then(clusterDefs => {
+        const clusterDef = clusterDefs[3];
+        const events = new EventHandler();
+        let warnings = [];
+        events.on(events.WARN, msg => warnings.push(msg));
+        const generator = new Generator(
+          clusterDef,
+          {
+            "node-auth": {
+              develop: { image: "quay.io/invision/node-auth:develop-abc2" },
+              testing: { image: "quay.io/invision/node-auth:testing-abc1" }
+            }
+          },
+          "./test/fixture/resources",
+          os.tmpdir(),
+          false,
+          configStub,
+          undefined,
+          events,
+          undefined,
+          undefined,
+          undefined,
+          undefined,
+          { pinDigests: true }
+        );
+        clusterDef.resources().auth.containers["auth-con"].image_tag =
+          "node-auth";
+        return generator
+          ._createLocalConfiguration(
+            clusterDef.configuration(),
+            "auth",
+            clusterDef.resources().auth
+          )
+          .should.be.fulfilled.then(config => {
+            expect(config["auth-con"].image).to.match(
+              /^quay.io\/invision\/node-auth:/
+            );
+            expect(generator.pinned).to.be.empty;
+            expect(warnings.join()).to.contain("No digest found for image");
+          });
+      });
+    });
+  });
+
+  describe("Image policy", () => {
+    const imageResources = {
+      "node-auth": {
+        develop: { image: "quay.io/invision/node-auth:develop-abc2" },
+        testing: { image: "quay.io/invision/node-auth:testing-abc1" }
+      }
+    };
+
+    function createGenerator(clusterDef, events, rules) {
+      return new Generator(
+        clusterDef,
+        imageResources,
+        "./test/fixture/resources",
+        os.tmpdir(),
+        false,
+        configStub,
+        undefined,
+        events,
+        undefined,
+        undefined,
+        undefined,
+        undefined,
+        { imagePolicy: { [clusterDef.type()]: rules } }
+      );
+    }
+
+    it("should allow images following the policy of the cluster type", () => {
+      return YamlHandler.loadClusterDefinitions(
+        "./test/fixture/clusters"
+      ).should.be.fulfilled.then(clusterDefs => {
+        const clusterDef = clusterDefs[3];
+        clusterDef.resources().auth.containers["auth-con"].image_tag =
+          "node-auth";
+        return createGenerator(clusterDef, new EventHandler(), {
+          registries: ["quay.io"],
+          bannedTags: ["latest"]
+        })._createLocalConfiguration(
+          clusterDef.configuration(),
+          "auth",
+          clusterDef.resources().auth
+        ).should.be.fulfilled;
+      });
+    });
+
+    it("should fail the resource for violations and emit a metric", () => {
+      return YamlHandler.loadClusterDefinitions(
+        "./test/fixture/clusters"
+      ).should.be.fulfilled.then(clusterDefs => {
+        const clusterDef = clusterDefs[3];
+        const events = new EventHandler();
+        let metrics = [];
+        events.on("metric", msg => metrics.push(msg));
+        clusterDef.resources().auth.containers["auth-con"].image =
+          "someone/random:latest";
+        return createGenerator(clusterDef, events, {
+          registries: ["quay.io"],
+          bannedTags: ["latest"]
+        })
+          ._createLocalConfiguration(
+            clusterDef.configuration(),
+            "auth",
+            clusterDef.resources().auth
+          )
+          .should.be.rejectedWith(
+            "image someone/random:latest uses the banned tag latest"
+          )
+          .then(() => {
+            const metric = _.find(metrics, ["title", "Image policy violated"]);
+            expect(metric).to.exist;
+            expect(metric.tags.kit_resource).to.equal("auth");
+          });
+      });
+    });
+  });
+
+  describe("Autoscalers", () => {
+    const autoscaler = {
+      kind: "autoscaler",
+      target: "activity",
+      file: "./activity/activity-autoscaler.mustache",
+      maxReplicas: 6
+    };
+
+    function processAutoscaler(clusterIndex, resource) {
+      return YamlHandler.loadClusterDefinitions(
+        "./test/fixture/clusters"
+      ).should.be.fulfilled.then(clusterDefs => {
+        const clusterDef = clusterDefs[clusterIndex];
+        clusterDef.configuration().deployment = { replicaCount: 2 };
+        const events = new EventHandler();
+        let warnings = [];
+        events.on(events.WARN, msg => warnings.push(msg));
+        const generator = new Generator(
+          clusterDef,
+          {},
+          "./test/fixture/resources",
+          os.tmpdir(),
+          false,
+          undefined,
+          undefined,
+          events
+        );
+        return generator
+          .processSingleResource("activity-scaler", resource)
+          .then(() => {
+            return { files: generator.files, warnings: warnings };
+          });
+      });
+    }
+
+    it("should render the autoscaler with its target", () => {
+      return processAutoscaler(2, autoscaler).then(result => {
+        const hpa = yaml.safeLoad(
+          result.files["activity-autoscaler.yaml"].content
+        );
+        expect(hpa.metadata.name).to.equal("activity");
+        expect(hpa.spec.scaleTargetRef.name).to.equal("activity");
+        expect(hpa.spec.minReplicas).to.equal(2);
+        expect(hpa.spec.maxReplicas).to.equal(6);
+        expect(result.warnings.join()).to.not.contain("No image tag");
+      });
+    });
+
+    it("should fail without target", () => {
+      return processAutoscaler(
+        2,
+        _.omit(autoscaler, "target")
+      ).should.be.rejectedWith(
+        "Autoscaler activity-scaler has no target in cluster other-test-fixture"
+      );
+    });
+
+    it("should fail for unknown targets", () => {
+      return processAutoscaler(
+        2,
+        _.assign({}, autoscaler, { target: "unknown" })
+      ).should.be.rejectedWith(
+        "Target unknown of autoscaler activity-scaler not found in cluster other-test-fixture"
+      );
+    });
+
+    it("should fail for disabled targets", () => {
+      return processAutoscaler(3, autoscaler).should.be.rejectedWith(
+        "Target activity of autoscaler activity-scaler is disabled in cluster test-fixture"
+      );
+    });
+  });
+
+  describe("Rendered manifests", () => {
+    const invalidResource = {
+      file: "./invalid/invalid-deployment.mustache",
+      containers: {
+        "invalid-con": { image: "quay.io/invision/invalid:develop-abc1" }
+      }
+    };
+
+    it("should fail the resource for invalid manifests", () => {
+      return YamlHandler.loadClusterDefinitions(
+        "./test/fixture/clusters"
+      ).should.be.fulfilled.then(clusterDefs => {
+        const clusterDef = clusterDefs[3];
+        const generator = new Generator(
+          clusterDef,
+          {},
+          "./test/fixture/resources",
+          os.tmpdir(),
+          false,
+          undefined,
+          undefined,
+          new EventHandler()
+        );
+        return generator
+          .processSingleResource("invalid", invalidResource)
+          .should.be.rejectedWith(
+            "invalid-deployment.yaml: missing metadata.name"
+          );
+      });
+    });
+
+    it("should fail the resource for unresolved variables in strict mode", () => {
+      return YamlHandler.loadClusterDefinitions(
+        "./test/fixture/clusters"
+      ).should.be.fulfilled.then(clusterDefs => {
+        const clusterDef = clusterDefs[3];
+        const resource = {
+          file: "./invalid/unresolved-deployment.mustache",
+          containers: invalidResource.containers
+        };
+        const generator = new Generator(
+          clusterDef,
+          {},
+          "./test/fixture/resources",
+          os.tmpdir(),
+          false,
+          undefined,
+          undefined,
+          new EventHandler()
+        );
+        const strictGenerator = new Generator(
+          clusterDef,
+          {},
+          "./test/fixture/resources",
+          os.tmpdir(),
+          false,
+          undefined,
+          undefined,
+          new EventHandler(),
+          undefined,
+          undefined,
+          undefined,
+          undefined,
+          { strict: true }
+        );
+        return generator
+          .processSingleResource("unresolved", resource)
+          .should.be.fulfilled.then(() => {
+            return strictGenerator
+              .processSingleResource("unresolved", resource)
+              .should.be.rejectedWith(
+                /unresolved-deployment.mustache:6: deployment.replicas is not defined/
+              );
+          });
+      });
+    });
+
+    it("should not save invalid manifests when failures are allowed", () => {
+      return YamlHandler.loadClusterDefinitions(
+        "./test/fixture/clusters"
+      ).should.be.fulfilled.then(clusterDefs => {
+        const clusterDef = clusterDefs[1];
+        expect(clusterDef.allowFailure()).to.equal(true);
+        const events = new EventHandler();
+        let warnings = [];
+        events.on(events.WARN, msg => warnings.push(msg));
+        const generator = new Generator(
+          clusterDef,
+          {},
+          "./test/fixture/resources",
+          os.tmpdir(),
+          false,
+          undefined,
+          undefined,
+          events
+        );
+        return generator
+          .processSingleResource("invalid", invalidResource)
+          .should.be.fulfilled.then(() => {
+            expect(generator.files).to.be.empty;
+            expect(warnings.join()).to.contain("Invalid manifest");
+          });
+      });
+    });
+  });
+
   describe("Local configuration", () => {
     const testingImage = "SOME-TESTING-IMAGE:branch-abc1";
     const developImageSHA = "abc2";
@@ -185,6 +1212,7 @@ describe("Generator", () => {
             expect(localConfig.svc).to.exist;
             expect(localConfig).to.not.equal(clusterDef.configuration());
             expect(localConfig.name).to.equal("auth");
+            expect(localConfig.base64("auth")).to.equal("YXV0aA==");
             expect(localConfig["auth-con"].image).to.equal(developImage);
             expect(localConfig["auth-con"].env).to.include({
               name: "test",
@@ -311,6 +1339,71 @@ describe("Generator", () => {
       });
     });
 
+    it("should name the image of the commitId as configured", () => {
+      const mockLaunchDarkly = {
+        toggle: function(feature) {
+          return new Promise((resolve, reject) => {
+            return resolve(true);
+          });
+        }
+      };
+      return YamlHandler.loadClusterDefinitions(
+        "./test/fixture/clusters"
+      ).should.be.fulfilled.then(clusterDefs => {
+        const sha = "3154cf1fff0c547c9628c266f6c013b53228fdc8";
+        const clusterDef = clusterDefs[3];
+        const generator = new Generator(
+          clusterDef,
+          imageResources,
+          "./test/fixture/resources",
+          os.tmpdir(),
+          true,
+          undefined,
+          undefined,
+          new EventHandler(),
+          undefined,
+          undefined,
+          sha,
+          mockLaunchDarkly,
+          {
+            imageNaming: {
+              registry: "registry.example.com",
+              template: "{{registry}}/{{image_tag}}:{{branch}}-{{commitId}}"
+            }
+          }
+        );
+        let auth = clusterDef.cluster.resources["auth"];
+        auth.containers["auth-con"].image_tag = "invision/auth";
+        auth.imageNaming = { registry: "docker.invision.works:5000" };
+
+        return generator
+          ._createLocalConfiguration(
+            clusterDef.configuration(),
+            "auth",
+            clusterDef.resources().auth
+          )
+          .should.be.fulfilled.then(localConfig => {
+            expect(localConfig["auth-con"].image).to.equal(
+              `docker.invision.works:5000/invision/auth:${localConfig.branch}-${sha}`
+            );
+            expect(() =>
+              generator.imageName(
+                {
+                  resourceName: "auth",
+                  image_tag: "invision/auth",
+                  imageNaming: {
+                    template: "{{registry}}/{{image_tag}}:{{tag}}"
+                  }
+                },
+                "develop"
+              )
+            ).to.throw(
+              "Image name template {{registry}}/{{image_tag}}:{{tag}} of resource auth uses tag, which is not set"
+            );
+          });
+      });
+    });
+
     it("should skip the image set for HPA", () => {
       const mockLaunchDarkly = {
         toggle: function(feature) {
@@ -344,12 +1437,18 @@ describe("Generator", () => {
 
         const resource = clusterDef.cluster.resources[name];
 
+        let warnings = [];
+        generator.eventHandler.on(generator.eventHandler.WARN, msg =>
+          warnings.push(msg)
+        );
+
         return generator
           ._createLocalConfiguration(clusterDef.configuration(), name, resource)
           .should.be.fulfilled.then(localConfig => {
             expect(localConfig).to.exist;
             expect(localConfig[name]).to.exist;
             expect(localConfig.name).to.equal(name);
+            expect(warnings.join()).to.contain("this is deprecated");
           });
       });
     });
@@ -693,12 +1792,12 @@ describe("Generator", () => {
       });
     });
 
-    it("should go for branch default when launchdarkly client is not set", () => {
+    it("should go for branch default when no feature flag provider is set", () => {
       let events = new EventHandler();
 
       events.on("metric", function(msg) {
         expect(msg.kind).to.equal("event");
-        expect(msg.text).to.contains("Launchdarkly client is undefined");
+        expect(msg.text).to.contains("No feature flag provider set");
       });
 
       const serviceName = "auth";
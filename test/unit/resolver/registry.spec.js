@@ -0,0 +1,143 @@
+"use strict";
+
+const nock = require("nock");
+const chai = require("chai");
+chai.use(require("chai-as-promised"));
+chai.should();
+const expect = chai.expect;
+const RegistryResolver = require("../../../src/resolver/registry");
+
+describe("Registry image resolver", () => {
+  const registry = "http://registry.local";
+  const manifest = digest => ({
+    schemaVersion: 2,
+    config: { digest: digest }
+  });
+
+  function stubImage(tag, digest, created) {
+    nock(registry)
+      .get(`/v2/invision/node-auth/manifests/${tag}`)
+      .reply(200, manifest(`sha256:config-${tag}`), {
+        "Docker-Content-Digest": digest
+      });
+    nock(registry)
+      .get(`/v2/invision/node-auth/blobs/sha256:config-${tag}`)
+      .reply(200, { created: created });
+  }
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  it("should require the url", () => {
+    expect(() => new RegistryResolver({})).to.throw(
+      "The url is a required configuration value."
+    );
+  });
+
+  it("should resolve the newest tag of the branch", () => {
+    nock(registry)
+      .get("/v2/invision/node-auth/tags/list")
+      .reply(
+        200,
+        { tags: ["develop-aaa", "master-bbb"] },
+        {
+          Link: '</v2/invision/node-auth/tags/list?last=master-bbb>; rel="next"'
+        }
+      );
+    nock(registry)
+      .get("/v2/invision/node-auth/tags/list?last=master-bbb")
+      .reply(200, { tags: ["develop-ccc", "developer-ddd"] });
+    stubImage("develop-aaa", "sha256:aaa", "2018-01-02T00:00:00Z");
+    stubImage("develop-ccc", "sha256:ccc", "2018-01-01T00:00:00Z");
+
+    return new RegistryResolver({ url: registry, host: "quay.io" })
+      .resolve("invision/node-auth", "develop")
+      .should.eventually.deep.equal({
+        image: "quay.io/invision/node-auth:develop-aaa",
+        digest: "sha256:aaa"
+      });
+  });
+
+  it("should authenticate with a bearer token", () => {
+    nock(registry)
+      .get("/v2/invision/node-auth/tags/list")
+      .reply(
+        401,
+        {},
+        {
+          "WWW-Authenticate": `Bearer realm="${registry}/token",service="registry.local"`
+        }
+      );
+    nock(registry, {
+      reqheaders: {
+        Authorization: `Basic ${new Buffer("robot:secret").toString("base64")}`
+      }
+    })
+      .get(
+        "/token?service=registry.local&scope=repository%3Ainvision%2Fnode-auth%3Apull"
+      )
+      .reply(200, { token: "t0ken" });
+    nock(registry, { reqheaders: { Authorization: "Bearer t0ken" } })
+      .get("/v2/invision/node-auth/tags/list")
+      .reply(200, { tags: ["master"] });
+    nock(registry, { reqheaders: { Authorization: "Bearer t0ken" } })
+      .get("/v2/invision/node-auth/manifests/master")
+      .reply(200, manifest("sha256:config"), {
+        "Docker-Content-Digest": "sha256:abc"
+      });
+    nock(registry, { reqheaders: { Authorization: "Bearer t0ken" } })
+      .get("/v2/invision/node-auth/blobs/sha256:config")
+      .reply(200, { created: "2018-01-01T00:00:00Z" });
+
+    return new RegistryResolver({
+      url: registry,
+      username: "robot",
+      password: "secret"
+    })
+      .resolve("invision/node-auth", "master")
+      .should.eventually.deep.equal({
+        image: "registry.local/invision/node-auth:master",
+        digest: "sha256:abc"
+      });
+  });
+
+  it("should return the digest of an image", () => {
+    nock(registry)
+      .get("/v2/invision/node-auth/manifests/release-abc1")
+      .reply(200, manifest("sha256:config"), {
+        "Docker-Content-Digest": "sha256:abc"
+      });
+    const resolver = new RegistryResolver({ url: registry, host: "quay.io" });
+    return resolver
+      .digest("quay.io/invision/node-auth:release-abc1")
+      .should.eventually.equal("sha256:abc")
+      .then(() => {
+        return resolver
+          .digest("docker.io/invision/node-auth:release-abc1")
+          .should.eventually.equal(undefined);
+      });
+  });
+
+  it("should fail if no tag matches the branch", () => {
+    nock(registry)
+      .get("/v2/invision/node-auth/tags/list")
+      .reply(200, { tags: ["master-bbb"] });
+    return new RegistryResolver({ url: registry })
+      .resolve("invision/node-auth", "develop")
+      .should.be.rejectedWith(
+        "Image invision/node-auth not found for defined branch (develop) in registry registry.local"
+      );
+  });
+
+  it("should fail for errors of the registry", () => {
+    nock(registry)
+      .get("/v2/invision/node-auth/tags/list")
+      .reply(404, { errors: [] });
+    return new RegistryResolver({ url: registry })
+      .resolve("invision/node-auth", "develop")
+      .should.be.rejectedWith(
+        "Registry registry.local responded with 404 for /v2/invision/node-auth/tags/list"
+      );
+  });
+});
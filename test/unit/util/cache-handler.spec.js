@@ -0,0 +1,92 @@
+"use strict";
+
+const os = require("os");
+const path = require("path");
+const fse = require("fs-extra");
+const CacheHandler = require("../../../src/util/cache-handler");
+const chai = require("chai");
+const chaiAsPromised = require("chai-as-promised");
+chai.use(chaiAsPromised);
+chai.should();
+const expect = chai.expect;
+
+describe("CacheHandler", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fse.mkdtempSync(path.join(os.tmpdir(), "kit-cache-"));
+  });
+
+  afterEach(() => {
+    fse.removeSync(dir);
+  });
+
+  describe("Hashing", () => {
+    it("should hash equal inputs the same", () => {
+      expect(CacheHandler.hash(["a", { b: 1 }])).to.equal(
+        CacheHandler.hash(["a", { b: 1 }])
+      );
+    });
+
+    it("should hash different inputs differently", () => {
+      expect(CacheHandler.hash(["a", { b: 1 }])).to.not.equal(
+        CacheHandler.hash(["a", { b: 2 }])
+      );
+      expect(CacheHandler.hash(["ab", "c"])).to.not.equal(
+        CacheHandler.hash(["a", "bc"])
+      );
+    });
+  });
+
+  describe("Freshness", () => {
+    it("should be fresh for the same hash with existing files", () => {
+      fse.writeFileSync(path.join(dir, "auth.yaml"), "kind: Deployment");
+      const cache = new CacheHandler(dir);
+      cache.set("auth", "abc", ["auth.yaml"]);
+      return cache.isFresh("auth", "abc").should.eventually.equal(true);
+    });
+
+    it("should not be fresh for a different hash", () => {
+      fse.writeFileSync(path.join(dir, "auth.yaml"), "kind: Deployment");
+      const cache = new CacheHandler(dir);
+      cache.set("auth", "abc", ["auth.yaml"]);
+      return cache.isFresh("auth", "def").should.eventually.equal(false);
+    });
+
+    it("should not be fresh if a file is missing", () => {
+      const cache = new CacheHandler(dir);
+      cache.set("auth", "abc", ["auth.yaml"]);
+      return cache.isFresh("auth", "abc").should.eventually.equal(false);
+    });
+
+    it("should not be fresh for unknown resources", () => {
+      const cache = new CacheHandler(dir);
+      return cache.isFresh("auth", "abc").should.eventually.equal(false);
+    });
+  });
+
+  describe("Saving", () => {
+    it("should load the saved entries", () => {
+      const cache = new CacheHandler(dir);
+      cache.set("auth", "abc", ["auth.yaml", "auth-svc.yaml"]);
+      cache.set("activity", "def", ["activity.yaml"]);
+      cache.retain(["auth"]);
+      return cache.save().then(() => {
+        const loaded = new CacheHandler(dir);
+        return loaded.load().then(() => {
+          expect(loaded.entries).to.deep.equal({
+            auth: { hash: "abc", files: ["auth.yaml", "auth-svc.yaml"] }
+          });
+        });
+      });
+    });
+
+    it("should start empty without a valid cache file", () => {
+      fse.writeFileSync(path.join(dir, CacheHandler.fileName), "{not json");
+      const cache = new CacheHandler(dir);
+      return cache.load().then(() => {
+        expect(cache.entries).to.deep.equal({});
+      });
+    });
+  });
+});
@@ -0,0 +1,112 @@
+"use strict";
+
+const os = require("os");
+const path = require("path");
+const fse = require("fs-extra");
+const expect = require("chai").expect;
+const Promise = require("bluebird");
+const diffHandler = require("../../../src/util/diff-handler");
+
+describe("DiffHandler", () => {
+  const dir = path.join(os.tmpdir(), "diff-handler-test");
+
+  before(() => {
+    fse.removeSync(dir);
+    fse.mkdirsSync(dir);
+    fse.writeFileSync(path.join(dir, "same.yaml"), "kind: Service\n");
+    fse.writeFileSync(path.join(dir, "changed.yaml"), "replicas: 1\n");
+    fse.writeFileSync(path.join(dir, "removed.yaml"), "kind: Secret\n");
+  });
+
+  after(() => {
+    fse.removeSync(dir);
+  });
+
+  const files = {
+    "same.yaml": { resource: "auth", content: "kind: Service\n" },
+    "changed.yaml": { resource: "auth", content: "replicas: 2\n" },
+    "added.yaml": { resource: "activity", content: "kind: Deployment\n" }
+  };
+
+  describe("compare", () => {
+    it("should list created, changed and deleted files", done => {
+      Promise.coroutine(function*() {
+        const result = yield diffHandler.compare("test", dir, files, true);
+        expect(result.cluster).to.equal("test");
+        expect(result.created).to.deep.equal(["added.yaml"]);
+        expect(result.changed).to.deep.equal(["changed.yaml"]);
+        expect(result.deleted).to.deep.equal(["removed.yaml"]);
+        expect(result.patches.length).to.equal(3);
+        const changed = result.patches.find(p => p.file === "changed.yaml");
+        expect(changed.resource).to.equal("auth");
+        expect(changed.patch).to.contain("-replicas: 1");
+        expect(changed.patch).to.contain("+replicas: 2");
+        expect(diffHandler.hasChanges([result])).to.equal(true);
+        done();
+      })().catch(err => {
+        done(err);
+      });
+    });
+
+    it("should not list deleted files unless requested", done => {
+      Promise.coroutine(function*() {
+        const result = yield diffHandler.compare("test", dir, files, false);
+        expect(result.deleted).to.be.empty;
+        done();
+      })().catch(err => {
+        done(err);
+      });
+    });
+
+    it("should list all files as created for a new cluster", done => {
+      Promise.coroutine(function*() {
+        const result = yield diffHandler.compare(
+          "new",
+          path.join(dir, "does-not-exist"),
+          files,
+          true
+        );
+        expect(result.created.length).to.equal(3);
+        expect(result.changed).to.be.empty;
+        expect(result.deleted).to.be.empty;
+        done();
+      })().catch(err => {
+        done(err);
+      });
+    });
+
+    it("should not report unchanged files", done => {
+      Promise.coroutine(function*() {
+        const result = yield diffHandler.compare(
+          "test",
+          dir,
+          { "same.yaml": files["same.yaml"] },
+          false
+        );
+        expect(diffHandler.hasChanges([result])).to.equal(false);
+        expect(diffHandler.format([result])).to.equal("No differences found\n");
+        done();
+      })().catch(err => {
+        done(err);
+      });
+    });
+  });
+
+  describe("format", () => {
+    it("should group the diffs by cluster and resource", done => {
+      Promise.coroutine(function*() {
+        const result = yield diffHandler.compare("test", dir, files, true);
+        const report = diffHandler.format([result]);
+        expect(report).to.contain("=== Cluster test");
+        expect(report).to.contain("created: added.yaml");
+        expect(report).to.contain("deleted: removed.yaml");
+        expect(report).to.contain("--- Resource activity");
+        expect(report).to.contain("--- Resource auth");
+        expect(report).to.contain("+++ /dev/null");
+        done();
+      })().catch(err => {
+        done(err);
+      });
+    });
+  });
+});
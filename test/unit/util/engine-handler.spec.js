@@ -0,0 +1,166 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const chai = require("chai");
+const chaiAsPromised = require("chai-as-promised");
+chai.use(chaiAsPromised);
+chai.should();
+const expect = chai.expect;
+const EngineHandler = require("../../../src/util/engine-handler");
+const HelperHandler = require("../../../src/util/helper-handler");
+
+describe("EngineHandler", () => {
+  const fixtures = path.resolve("test/fixture/engines");
+  const view = {
+    name: "auth",
+    deployment: { replicaCount: 2 },
+    "auth-con": {
+      env: [
+        { name: "ENV_ONE", value: "one" },
+        { name: "ENV_TWO", value: "two" }
+      ]
+    }
+  };
+  const expected = {
+    apiVersion: "v1",
+    kind: "ConfigMap",
+    metadata: { name: "auth-config" },
+    data: { replicas: "2", ENV_ONE: "one", ENV_TWO: "two" }
+  };
+
+  function render(engines, file, engine) {
+    const filePath = path.join(fixtures, file);
+    return engines.render(filePath, fs.readFileSync(filePath, "utf8"), view, {
+      engine: engine
+    });
+  }
+
+  ["config.mustache", "config.hbs", "config.ejs", "config.js"].forEach(file => {
+    it(`should render ${file} with the same view`, () => {
+      const result = render(new EngineHandler(), file);
+      expect(yaml.safeLoad(result)).to.deep.equal(expected);
+    });
+  });
+
+  it("should use the handlebars helpers", () => {
+    const engine = new EngineHandler().engineFor("test.hbs");
+    const template =
+      '{{#if (eq name "auth")}}{{default missing "none"}}{{/if}} {{name}}';
+    expect(engine.render(template, { name: "<a&b>" })).to.equal(" <a&b>");
+    expect(engine.render(template, { name: "auth" })).to.equal("none auth");
+  });
+
+  it("should provide the template helpers to handlebars", () => {
+    const engine = new EngineHandler().engineFor("test.hbs");
+    const template =
+      "{{base64 secret}} {{quote name}}\nlimits:\n{{indent (toYaml limits) 2}}";
+    expect(
+      engine.render(template, {
+        secret: "auth",
+        name: "a: b",
+        limits: { cpu: "100m" }
+      })
+    ).to.equal('YXV0aA== "a: b"\nlimits:\n  cpu: 100m');
+  });
+
+  it("should fail for unknown extensions", () => {
+    expect(() => render(new EngineHandler(), "config.tpl")).to.throw(
+      "Unknown file type: .tpl"
+    );
+  });
+
+  it("should fail for unknown engines", () => {
+    expect(() => render(new EngineHandler(), "config.hbs", "jade")).to.throw(
+      "Unknown template engine: jade"
+    );
+  });
+
+  it("should select the engine by name", () => {
+    expect(() =>
+      render(new EngineHandler(), "config.hbs", "mustache")
+    ).to.throw(/Unclosed section/);
+  });
+
+  it("should use configured engine modules", () => {
+    const engines = new EngineHandler({
+      ".tpl": path.join(fixtures, "upper-engine.js")
+    });
+    const result = yaml.safeLoad(render(engines, "config.tpl"));
+    expect(result.metadata.name).to.equal("AUTH-config");
+  });
+
+  describe("partials", () => {
+    const partialsPath = path.resolve("test/fixture/partials");
+    let partialsView = {
+      name: "auth",
+      deployment: { livenessProbe: { path: "/healthcheck", port: 80 } }
+    };
+    Object.assign(partialsView, HelperHandler.helpers(partialsView));
+
+    function renderWithPartials(partials, file) {
+      const filePath = path.join(fixtures, file);
+      return new EngineHandler(undefined, partials).render(
+        filePath,
+        fs.readFileSync(filePath, "utf8"),
+        partialsView
+      );
+    }
+
+    it("should load partials by relative path", () => {
+      return EngineHandler.loadPartials(partialsPath).then(partials => {
+        expect(Object.keys(partials).sort()).to.deep.equal([
+          "labels",
+          "probes/http"
+        ]);
+      });
+    });
+
+    it("should fail for a missing partials directory", () => {
+      return EngineHandler.loadPartials(
+        path.join(partialsPath, "missing")
+      ).should.be.rejectedWith(/Partials directory .* not found/);
+    });
+
+    it("should render mustache partials", () => {
+      return EngineHandler.loadPartials(partialsPath).then(partials => {
+        const result = yaml.safeLoad(
+          renderWithPartials(partials, "deployment.mustache")
+        );
+        expect(result.containers[0].livenessProbe.httpGet).to.deep.equal({
+          path: "/healthcheck",
+          port: 80
+        });
+      });
+    });
+
+    it("should render handlebars partials", () => {
+      return EngineHandler.loadPartials(partialsPath).then(partials => {
+        const result = yaml.safeLoad(
+          renderWithPartials(partials, "deployment.hbs")
+        );
+        expect(result.labels).to.deep.equal({
+          app: "invisionapp",
+          service: "auth"
+        });
+      });
+    });
+
+    it("should fail for missing partials", () => {
+      expect(() => renderWithPartials({}, "deployment.mustache")).to.throw(
+        /Partial probes\/http not found \(included in .*deployment.mustache\)/
+      );
+      expect(() => renderWithPartials(undefined, "deployment.hbs")).to.throw(
+        /The partial labels could not be found/
+      );
+    });
+  });
+
+  it("should override the default engines", () => {
+    const engines = new EngineHandler({ ".mustache": "handlebars" });
+    expect(
+      engines.engineFor("test.mustache").render("{{name}}", { name: "<a>" })
+    ).to.equal("<a>");
+  });
+});
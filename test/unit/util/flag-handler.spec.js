@@ -0,0 +1,89 @@
+"use strict";
+
+const chai = require("chai");
+chai.use(require("chai-as-promised"));
+chai.should();
+const expect = chai.expect;
+const FlagHandler = require("../../../src/util/flag-handler");
+
+describe("FlagHandler", () => {
+  const flag = "kit-deploymentizer-78-image-sha";
+
+  it("should toggle static flags", () => {
+    const flags = new FlagHandler("static", { flags: { [flag]: true } });
+    return flags
+      .toggle(flag)
+      .should.eventually.equal(true)
+      .then(() => {
+        return flags
+          .toggle("kit-deploymentizer-94-api-v4-call")
+          .should.eventually.equal(false);
+      });
+  });
+
+  it("should toggle flags from environment variables", () => {
+    const flags = new FlagHandler("env", {});
+    process.env.FLAG_KIT_DEPLOYMENTIZER_78_IMAGE_SHA = "true";
+    return flags
+      .toggle(flag)
+      .should.eventually.equal(true)
+      .then(() => {
+        process.env.FLAG_KIT_DEPLOYMENTIZER_78_IMAGE_SHA = "false";
+        return flags.toggle(flag).should.eventually.equal(false);
+      })
+      .finally(() => {
+        delete process.env.FLAG_KIT_DEPLOYMENTIZER_78_IMAGE_SHA;
+      });
+  });
+
+  it("should toggle flags from a JSON file", () => {
+    const flags = new FlagHandler("file", {
+      path: "./test/fixture/flags.json"
+    });
+    return flags
+      .toggle(flag)
+      .should.eventually.equal(true)
+      .then(() => {
+        return flags
+          .toggle("kit-deploymentizer-90-fail-deploy-envs")
+          .should.eventually.equal(false);
+      });
+  });
+
+  it("should toggle flags of a LaunchDarkly client", () => {
+    let toggled = [];
+    const client = {
+      toggle: name => {
+        toggled.push(name);
+        return Promise.resolve(true);
+      }
+    };
+    return new FlagHandler("launchdarkly", { client: client })
+      .toggle(flag)
+      .should.eventually.equal(true)
+      .then(() => {
+        expect(toggled).to.deep.equal([flag]);
+      });
+  });
+
+  it("should map flags to the configured names", () => {
+    const flags = new FlagHandler(
+      "static",
+      { flags: { "image-sha": true } },
+      { [flag]: "image-sha" }
+    );
+    return flags.toggle(flag).should.eventually.equal(true);
+  });
+
+  it("should fail for unknown providers", () => {
+    expect(() => new FlagHandler("unknown")).to.throw(
+      "Unknown feature flag provider: unknown"
+    );
+  });
+
+  it("should require the LaunchDarkly client", () => {
+    expect(() => new FlagHandler("launchdarkly", {})).to.throw(
+      "The LaunchDarkly client is a required configuration value."
+    );
+  });
+});
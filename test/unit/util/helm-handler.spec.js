@@ -0,0 +1,159 @@
+"use strict";
+
+const yaml = require("js-yaml");
+const HelmHandler = require("../../../src/util/helm-handler");
+const expect = require("chai").expect;
+
+describe("HelmHandler", () => {
+  const sample = {
+    name: "auth",
+    branch: "develop",
+    deployment: { replicaCount: 2, id: "abc" },
+    "auth-con": { image: "quay.io/invision/node-auth:develop", env: [] },
+    imagePullSecrets: [{ secret: "docker-quay-secret" }],
+    svc: { name: "auth-svc", labels: [{ name: "app", value: "auth" }] }
+  };
+  const convert = (template, partials) =>
+    HelmHandler.convert(template, {
+      expr: "$r",
+      sample: sample,
+      partials: partials
+    });
+
+  describe("convert", () => {
+    it("should convert names and key paths", () => {
+      expect(
+        convert(
+          "name: {{name}}-{{{branch}}}\nreplicas: {{deployment.replicaCount}}"
+        )
+      ).to.equal(
+        "name: {{ $r.name }}-{{ $r.branch }}\nreplicas: {{ $r.deployment.replicaCount }}"
+      );
+    });
+
+    it("should index keys that are not identifiers", () => {
+      expect(convert("image: {{auth-con.image}}")).to.equal(
+        'image: {{ (index $r "auth-con" "image") }}'
+      );
+    });
+
+    it("should convert sections by the type of their value", () => {
+      expect(
+        convert(
+          "{{#imagePullSecrets}}- {{secret}}/{{name}}\n{{/imagePullSecrets}}"
+        )
+      ).to.equal(
+        "{{ range $s1 := $r.imagePullSecrets }}- {{ $s1.secret }}/{{ $r.name }}\n{{ end }}"
+      );
+      expect(convert("{{#svc}}{{name}}{{/svc}}")).to.equal(
+        "{{ with $s1 := $r.svc }}{{ $s1.name }}{{ end }}"
+      );
+      expect(
+        convert("{{#deployment.id}}id: {{deployment.id}}{{/deployment.id}}")
+      ).to.equal(
+        "{{ if $r.deployment.id }}id: {{ $r.deployment.id }}{{ end }}"
+      );
+      expect(convert("{{^deployment.id}}none{{/deployment.id}}")).to.equal(
+        "{{ if not $r.deployment.id }}none{{ end }}"
+      );
+    });
+
+    it("should strip standalone section lines like Mustache", () => {
+      expect(
+        convert("labels:\n{{#deployment.id}}\n  id: x\n{{/deployment.id}}\n")
+      ).to.equal("labels:\n{{ if $r.deployment.id }}  id: x\n{{ end }}");
+    });
+
+    it("should convert helpers to functions", () => {
+      expect(convert("{{#base64}}{{name}}{{/base64}}")).to.equal(
+        "{{ b64enc $r.name }}"
+      );
+      expect(
+        convert("{{#quote}}{{#lowercase}}{{name}}{{/lowercase}}{{/quote}}")
+      ).to.equal("{{ quote (lower $r.name) }}");
+      expect(
+        convert("{{#indent}}4 {{#toYaml}}deployment{{/toYaml}}{{/indent}}")
+      ).to.equal("{{ indent 4 (toYaml $r.deployment) }}");
+    });
+
+    it("should fail for helpers that can not be exported", () => {
+      expect(() => convert("{{#base64}}a{{name}}{{/base64}}")).to.throw(
+        "Helper base64 can not be exported"
+      );
+    });
+
+    it("should include partials", () => {
+      expect(convert("a: {{> labels}}", { labels: "{{name}}" })).to.equal(
+        "a: {{ $r.name }}"
+      );
+      expect(() => convert("{{> missing}}")).to.throw(
+        "Partial missing not found"
+      );
+    });
+
+    it("should escape text and drop comments", () => {
+      expect(convert("{{! comment }}a: '{{=<% %>=}}{{x}}'")).to.equal(
+        `a: '{{ "{{" }}x}}'`
+      );
+    });
+  });
+
+  describe("header", () => {
+    it("should select the values of the resource", () => {
+      expect(HelmHandler.header("auth")).to.equal(
+        '{{- $r := merge (deepCopy (index .Values.resources "auth")) (omit .Values "resources") }}\n{{- if $r.enabled }}\n'
+      );
+    });
+
+    it("should select the service", () => {
+      expect(HelmHandler.header("auth", 1)).to.contain(
+        '{{- $r = merge (dict "svc" (index $r.svc 1)) $r }}\n'
+      );
+    });
+  });
+
+  describe("values", () => {
+    it("should keep the values of resources that differ from the configuration", () => {
+      const config = { deployment: { replicaCount: 2 }, region: "us" };
+      const values = HelmHandler.values(config, {
+        auth: {
+          deployment: { replicaCount: 2 },
+          region: "eu",
+          name: "auth",
+          base64: () => "helper"
+        },
+        activity: false
+      });
+      expect(values).to.deep.equal({
+        deployment: { replicaCount: 2 },
+        region: "us",
+        resources: {
+          auth: { enabled: true, region: "eu", name: "auth" },
+          activity: { enabled: false }
+        }
+      });
+    });
+
+    it("should keep the values set in the defaults", () => {
+      const config = { region: "us" };
+      const values = HelmHandler.values(
+        config,
+        { auth: { region: "us" } },
+        { auth: { region: "eu" } }
+      );
+      expect(values.resources.auth).to.deep.equal({
+        enabled: true,
+        region: "us"
+      });
+    });
+  });
+
+  describe("chart", () => {
+    it("should name the chart", () => {
+      const chart = yaml.safeLoad(HelmHandler.chart("services"));
+      expect(chart.apiVersion).to.equal("v2");
+      expect(chart.name).to.equal("services");
+      expect(chart.version).to.equal("0.1.0");
+    });
+  });
+});
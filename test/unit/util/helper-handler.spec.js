@@ -0,0 +1,102 @@
+"use strict";
+
+const expect = require("chai").expect;
+const yaml = require("js-yaml");
+const mustache = require("mustache");
+const helperHandler = require("../../../src/util/helper-handler");
+
+describe("HelperHandler", () => {
+  describe("functions", () => {
+    it("should encode as base64", () => {
+      expect(helperHandler.base64("secret-value")).to.equal("c2VjcmV0LXZhbHVl");
+    });
+
+    it("should quote values", () => {
+      expect(helperHandler.quote('say "yes"\n')).to.equal('"say \\"yes\\"\\n"');
+      expect(helperHandler.yamlQuote("it's")).to.equal("'it''s'");
+      expect(yaml.safeLoad(helperHandler.quote("yes"))).to.equal("yes");
+    });
+
+    it("should indent non empty lines", () => {
+      expect(helperHandler.indent("a:\n  b: 1\n\nc: 2", 2)).to.equal(
+        "  a:\n    b: 1\n\n  c: 2"
+      );
+    });
+
+    it("should convert to yaml", () => {
+      expect(helperHandler.toYaml({ limits: { cpu: "100m" } })).to.equal(
+        "limits:\n  cpu: 100m"
+      );
+    });
+
+    it("should change case", () => {
+      expect(helperHandler.lowercase("Auth")).to.equal("auth");
+      expect(helperHandler.uppercase("Auth")).to.equal("AUTH");
+    });
+
+    it("should hash content", () => {
+      expect(helperHandler.sha256("abc")).to.equal(
+        "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad"
+      );
+    });
+  });
+
+  describe("mustache lambdas", () => {
+    function render(template, view) {
+      return mustache.render(
+        template,
+        Object.assign(view, helperHandler.helpers(view))
+      );
+    }
+
+    it("should encode rendered sections", () => {
+      const view = { env: [{ name: "PASSWORD", value: "secret-value" }] };
+      expect(
+        render(
+          "{{#env}}{{{name}}}: {{#base64}}{{{value}}}{{/base64}}{{/env}}",
+          view
+        )
+      ).to.equal("PASSWORD: c2VjcmV0LXZhbHVl");
+      expect(
+        render("{{#quote}}{{{name}}}{{/quote}}", { name: "a: b" })
+      ).to.equal('"a: b"');
+      expect(
+        render("{{#uppercase}}{{{name}}}{{/uppercase}}", { name: "auth" })
+      ).to.equal("AUTH");
+    });
+
+    it("should convert key paths to indented yaml", () => {
+      const view = {
+        deployment: { resources: { limits: { cpu: "100m", memory: "1Gi" } } }
+      };
+      expect(
+        render(
+          "resources:\n{{#indent}}2 {{#toYaml}}deployment.resources{{/toYaml}}{{/indent}}\n",
+          view
+        )
+      ).to.equal("resources:\n  limits:\n    cpu: 100m\n    memory: 1Gi\n");
+    });
+
+    it("should look up key paths in the current context first", () => {
+      const view = {
+        limits: { cpu: "1" },
+        container: { limits: { cpu: "2" } }
+      };
+      expect(
+        render("{{#container}}{{#toYaml}}limits{{/toYaml}}{{/container}}", view)
+      ).to.equal("cpu: '2'");
+    });
+
+    it("should fail for undefined key paths", () => {
+      expect(() => render("{{#toYaml}}missing.key{{/toYaml}}", {})).to.throw(
+        "toYaml: missing.key is not defined"
+      );
+    });
+
+    it("should fail for indent without spaces", () => {
+      expect(() => render("{{#indent}}text{{/indent}}", {})).to.throw(
+        /indent requires the number of spaces/
+      );
+    });
+  });
+});
@@ -0,0 +1,138 @@
+"use strict";
+
+const _ = require("lodash");
+const yaml = require("js-yaml");
+const KustomizeHandler = require("../../../src/util/kustomize-handler");
+const expect = require("chai").expect;
+
+describe("KustomizeHandler", () => {
+  const deployment = `apiVersion: extensions/v1beta1
+kind: Deployment
+metadata:
+  name: auth-deployment
+  labels:
+    app: auth
+spec:
+  replicas: 1
+  template:
+    spec:
+      containers:
+        - name: auth-con
+          image: quay.io/invision/node-auth:develop-abc1
+`;
+
+  describe("diff", () => {
+    it("should be empty for equal values", () => {
+      const doc = yaml.safeLoad(deployment);
+      expect(KustomizeHandler.diff(doc, _.cloneDeep(doc))).to.deep.equal([]);
+    });
+
+    it("should add, remove and replace values", () => {
+      expect(
+        KustomizeHandler.diff(
+          { a: 1, b: { c: 2, "d/e": 3 }, f: [1, 2] },
+          { a: 2, b: { c: 2, g: 4 }, f: [1] }
+        )
+      ).to.deep.equal([
+        { op: "replace", path: "/a", value: 2 },
+        { op: "remove", path: "/b/d~1e" },
+        { op: "add", path: "/b/g", value: 4 },
+        { op: "replace", path: "/f", value: [1] }
+      ]);
+    });
+  });
+
+  describe("target", () => {
+    it("should split the group and version", () => {
+      expect(KustomizeHandler.target(yaml.safeLoad(deployment))).to.deep.equal({
+        group: "extensions",
+        version: "v1beta1",
+        kind: "Deployment",
+        name: "auth-deployment"
+      });
+      expect(
+        KustomizeHandler.target({
+          apiVersion: "v1",
+          kind: "Service",
+          metadata: { name: "auth-svc" }
+        })
+      ).to.deep.equal({ version: "v1", kind: "Service", name: "auth-svc" });
+    });
+  });
+
+  describe("overlay", () => {
+    const service =
+      "apiVersion: v1\nkind: Service\nmetadata:\n  name: auth-svc\n";
+    const secret = "apiVersion: v1\nkind: Secret\nmetadata:\n  name: extra\n";
+
+    it("should list the base files", () => {
+      expect(
+        yaml.safeLoad(
+          KustomizeHandler.base({ "b.yaml": service, "a.yaml": deployment })
+        )
+      ).to.deep.equal({
+        apiVersion: "kustomize.config.k8s.io/v1beta1",
+        kind: "Kustomization",
+        resources: ["a.yaml", "b.yaml"]
+      });
+    });
+
+    it("should patch, add and delete objects of the base", () => {
+      const overlay = KustomizeHandler.overlay(
+        {
+          "auth-deployment.yaml": deployment,
+          "auth-svc.yaml": service
+        },
+        {
+          "auth-deployment.yaml": deployment.replace(
+            "replicas: 1",
+            "replicas: 3"
+          ),
+          "extra.yaml": secret
+        }
+      );
+      expect(Object.keys(overlay).sort()).to.deep.equal([
+        "extra.yaml",
+        "kustomization.yaml",
+        "patches/delete-service-auth-svc.yaml",
+        "patches/deployment-auth-deployment.yaml"
+      ]);
+      expect(
+        yaml.safeLoad(
+          overlay["patches/deployment-auth-deployment.yaml"].content
+        )
+      ).to.deep.equal([{ op: "replace", path: "/spec/replicas", value: 3 }]);
+      expect(overlay["patches/deployment-auth-deployment.yaml"].file).to.equal(
+        "auth-deployment.yaml"
+      );
+      expect(
+        yaml.safeLoad(overlay["patches/delete-service-auth-svc.yaml"].content)
+      ).to.deep.equal({
+        $patch: "delete",
+        apiVersion: "v1",
+        kind: "Service",
+        metadata: { name: "auth-svc" }
+      });
+      expect(overlay["extra.yaml"].content).to.equal(secret);
+      expect(
+        yaml.safeLoad(overlay["kustomization.yaml"].content)
+      ).to.deep.equal({
+        apiVersion: "kustomize.config.k8s.io/v1beta1",
+        kind: "Kustomization",
+        resources: ["../base", "extra.yaml"],
+        patchesJson6902: [
+          {
+            target: {
+              group: "extensions",
+              version: "v1beta1",
+              kind: "Deployment",
+              name: "auth-deployment"
+            },
+            path: "patches/deployment-auth-deployment.yaml"
+          }
+        ],
+        patchesStrategicMerge: ["patches/delete-service-auth-svc.yaml"]
+      });
+    });
+  });
+});
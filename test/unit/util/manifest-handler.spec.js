@@ -0,0 +1,250 @@
+"use strict";
+
+const _ = require("lodash");
+const expect = require("chai").expect;
+const manifestHandler = require("../../../src/util/manifest-handler");
+
+describe("ManifestHandler", () => {
+  const deployment = `
+apiVersion: extensions/v1beta1
+kind: Deployment
+metadata:
+  name: auth-deployment
+spec:
+  replicas: REPLICAS
+  template:
+    spec:
+      containers:
+        - name: auth-con
+          image: quay.io/invision/node-auth:develop-abc1
+`;
+
+  describe("parse", () => {
+    it("should return all documents skipping empty ones", () => {
+      const docs = manifestHandler.parse(
+        "---\nkind: Service\n---\n---\nkind: Deployment\n"
+      );
+      expect(docs.length).to.equal(2);
+      expect(docs[0].kind).to.equal("Service");
+      expect(docs[1].kind).to.equal("Deployment");
+    });
+  });
+
+  describe("combine", () => {
+    it("should split documents keeping their text", () => {
+      expect(
+        manifestHandler.split(
+          "# auth\nkind: Service\n--- \n---\nkind: Deployment"
+        )
+      ).to.deep.equal(["# auth\nkind: Service\n", "kind: Deployment\n"]);
+    });
+
+    it("should order the documents by kind", () => {
+      const combined = manifestHandler.combine([
+        "kind: HorizontalPodAutoscaler\n",
+        "kind: Deployment\n---\nkind: Service\n",
+        "kind: PodDisruptionBudget\n",
+        "kind: Secret\n---\nkind: ConfigMap\n",
+        "kind: Namespace\n"
+      ]);
+      expect(_.map(manifestHandler.parse(combined), "kind")).to.deep.equal([
+        "Namespace",
+        "Secret",
+        "ConfigMap",
+        "Service",
+        "Deployment",
+        "PodDisruptionBudget",
+        "HorizontalPodAutoscaler"
+      ]);
+    });
+
+    it("should keep the order of other kinds", () => {
+      const combined = manifestHandler.combine([
+        "kind: Foo\nname: b\n",
+        "kind: Foo\nname: a\n",
+        "kind: Deployment\n"
+      ]);
+      expect(combined).to.equal(
+        "kind: Deployment\n---\nkind: Foo\nname: b\n---\nkind: Foo\nname: a\n"
+      );
+    });
+  });
+
+  describe("setNamespace", () => {
+    it("should set the namespace of objects without one", () => {
+      const content = manifestHandler.setNamespace(
+        "# comment\nkind: Service\nmetadata:\n  name: a\n---\nkind: Secret\nmetadata:\n  name: b\n  namespace: other\n",
+        "team"
+      );
+      expect(content).to.equal(
+        "kind: Service\nmetadata:\n  name: a\n  namespace: team\n---\nkind: Secret\nmetadata:\n  name: b\n  namespace: other\n"
+      );
+    });
+
+    it("should keep cluster scoped objects and unchanged content as is", () => {
+      const content = "# comment\nkind: ClusterRole\nmetadata:\n  name: a\n";
+      expect(manifestHandler.setNamespace(content, "team")).to.equal(content);
+    });
+  });
+
+  describe("addMetadata", () => {
+    it("should add labels and annotations not set by the template", () => {
+      const content = manifestHandler.addMetadata(
+        "kind: Deployment\nmetadata:\n  name: a\n  labels:\n    app: auth\nspec:\n  selector:\n    matchLabels:\n      name: a-pod\n  template:\n    metadata:\n      labels:\n        name: a-pod\n",
+        {
+          labels: { app: "other", cluster: "test" },
+          annotations: { commit: "abc1" }
+        }
+      );
+      expect(manifestHandler.parse(content)).to.deep.equal([
+        {
+          kind: "Deployment",
+          metadata: {
+            name: "a",
+            labels: { app: "auth", cluster: "test" },
+            annotations: { commit: "abc1" }
+          },
+          spec: {
+            selector: { matchLabels: { name: "a-pod" } },
+            template: {
+              metadata: {
+                labels: { name: "a-pod", app: "other", cluster: "test" }
+              }
+            }
+          }
+        }
+      ]);
+    });
+
+    it("should not label the pod template of workloads without a selector", () => {
+      const content = manifestHandler.addMetadata(
+        "kind: Deployment\nmetadata:\n  name: a\nspec:\n  template:\n    metadata:\n      labels:\n        name: a-pod\n",
+        { labels: { cluster: "test" } }
+      );
+      expect(manifestHandler.parse(content)[0]).to.deep.equal({
+        kind: "Deployment",
+        metadata: { name: "a", labels: { cluster: "test" } },
+        spec: { template: { metadata: { labels: { name: "a-pod" } } } }
+      });
+    });
+
+    it("should keep the content if everything is set", () => {
+      const content =
+        "# comment\nkind: Service\nmetadata:\n  name: a\n  labels:\n    app: auth\n";
+      expect(
+        manifestHandler.addMetadata(content, { labels: { app: "other" } })
+      ).to.equal(content);
+    });
+  });
+
+  describe("annotateImages", () => {
+    it("should annotate the objects using the images", () => {
+      const content = manifestHandler.annotateImages(
+        `${deployment}---\nkind: Service\nmetadata:\n  name: auth-svc\n`,
+        {
+          "quay.io/invision/node-auth:develop-abc1":
+            "quay.io/invision/node-auth:develop"
+        },
+        "images"
+      );
+      const docs = manifestHandler.parse(content);
+      expect(docs[0].metadata.annotations).to.deep.equal({
+        images: "quay.io/invision/node-auth:develop"
+      });
+      expect(docs[1].metadata).to.deep.equal({ name: "auth-svc" });
+    });
+
+    it("should keep the content if no image matches", () => {
+      expect(
+        manifestHandler.annotateImages(
+          deployment,
+          { "quay.io/invision/other:develop": "other" },
+          "images"
+        )
+      ).to.equal(deployment);
+    });
+  });
+
+  describe("labelValue", () => {
+    it("should convert values to valid label values", () => {
+      expect(manifestHandler.labelValue("feature/new-login")).to.equal(
+        "feature-new-login"
+      );
+      expect(manifestHandler.labelValue("-a.b_c-")).to.equal("a.b_c");
+      expect(manifestHandler.labelValue("a".repeat(70))).to.have.length(63);
+    });
+  });
+
+  describe("toJson", () => {
+    it("should convert a single document", () => {
+      expect(
+        JSON.parse(
+          manifestHandler.toJson("kind: Service\nmetadata:\n  name: a\n")
+        )
+      ).to.deep.equal({ kind: "Service", metadata: { name: "a" } });
+    });
+
+    it("should wrap multiple documents in a list", () => {
+      expect(
+        JSON.parse(
+          manifestHandler.toJson("kind: Service\n---\nkind: Deployment\n")
+        )
+      ).to.deep.equal({
+        apiVersion: "v1",
+        kind: "List",
+        items: [{ kind: "Service" }, { kind: "Deployment" }]
+      });
+    });
+  });
+
+  describe("validate", () => {
+    it("should accept a valid object", () => {
+      const content = deployment.replace("REPLICAS", "2");
+      expect(manifestHandler.validate(content, "auth.yaml")).to.be.empty;
+      expect(
+        manifestHandler.validate(content, "auth.yaml", {
+          kubernetesVersion: "1.9"
+        })
+      ).to.be.empty;
+    });
+
+    it("should report unparseable content", () => {
+      const errors = manifestHandler.validate("kind: [Service", "svc.yaml");
+      expect(errors.length).to.equal(1);
+      expect(errors[0]).to.match(/^svc.yaml: /);
+    });
+
+    it("should report empty content", () => {
+      expect(manifestHandler.validate("\n", "svc.yaml")).to.deep.equal([
+        "svc.yaml: does not contain any object"
+      ]);
+    });
+
+    it("should report missing required fields for each document", () => {
+      const content = "kind: Service\nmetadata:\n  name: svc\n---\nfoo: bar\n";
+      expect(manifestHandler.validate(content, "svc.yaml")).to.deep.equal([
+        "svc.yaml[0]: missing apiVersion",
+        "svc.yaml[1]: missing apiVersion, kind, metadata.name"
+      ]);
+    });
+
+    it("should validate against the schema of the kind", () => {
+      const content = deployment.replace("REPLICAS", "two");
+      expect(manifestHandler.validate(content, "auth.yaml")).to.be.empty;
+      expect(
+        manifestHandler.validate(content, "auth.yaml", {
+          kubernetesVersion: "1.9"
+        })
+      ).to.deep.equal(["auth.yaml: spec.replicas should be integer"]);
+    });
+
+    it("should fail for unsupported Kubernetes versions", () => {
+      const content = deployment.replace("REPLICAS", "2");
+      expect(() =>
+        manifestHandler.validate(content, "auth.yaml", {
+          kubernetesVersion: "0.1"
+        })
+      ).to.throw("Unsupported Kubernetes version: 0.1");
+    });
+  });
+});
@@ -0,0 +1,88 @@
+"use strict";
+
+const expect = require("chai").expect;
+const PolicyHandler = require("../../../src/util/policy-handler");
+
+describe("PolicyHandler", () => {
+  describe("rules", () => {
+    it("should merge the rules of the type with the default rules", () => {
+      const policy = {
+        default: { bannedTags: ["latest"] },
+        production: { registries: ["quay.io"], requireDigest: true }
+      };
+      expect(PolicyHandler.rules(policy, "production")).to.deep.equal({
+        bannedTags: ["latest"],
+        registries: ["quay.io"],
+        requireDigest: true
+      });
+      expect(PolicyHandler.rules(policy, "develop")).to.deep.equal({
+        bannedTags: ["latest"]
+      });
+      expect(PolicyHandler.rules({ production: {} }, "develop")).to.be
+        .undefined;
+      expect(PolicyHandler.rules(undefined, "develop")).to.be.undefined;
+    });
+  });
+
+  describe("parseImage", () => {
+    it("should split the image into its parts", () => {
+      expect(
+        PolicyHandler.parseImage("quay.io/invision/node-auth:develop-abc1")
+      ).to.deep.equal({
+        name: "quay.io/invision/node-auth",
+        registry: "quay.io",
+        repository: "invision/node-auth",
+        tag: "develop-abc1",
+        digest: undefined
+      });
+      expect(
+        PolicyHandler.parseImage(
+          "docker.invision.works:5000/invision/node-auth@sha256:abc"
+        )
+      ).to.deep.equal({
+        name: "docker.invision.works:5000/invision/node-auth",
+        registry: "docker.invision.works:5000",
+        repository: "invision/node-auth",
+        tag: undefined,
+        digest: "sha256:abc"
+      });
+    });
+
+    it("should default to docker.io and the latest tag", () => {
+      expect(PolicyHandler.parseImage("someone/random")).to.deep.equal({
+        name: "someone/random",
+        registry: "docker.io",
+        repository: "someone/random",
+        tag: "latest",
+        digest: undefined
+      });
+    });
+  });
+
+  describe("violations", () => {
+    const rules = {
+      registries: ["quay.io"],
+      bannedTags: ["latest"],
+      requireDigest: true
+    };
+
+    it("should list the violated rules", () => {
+      expect(
+        PolicyHandler.violations("someone/random:latest", rules)
+      ).to.deep.equal([
+        "image someone/random:latest is not pulled from an allowed registry (quay.io)",
+        "image someone/random:latest uses the banned tag latest",
+        "image someone/random:latest is not pinned by digest"
+      ]);
+    });
+
+    it("should allow images following the rules", () => {
+      expect(
+        PolicyHandler.violations(
+          "quay.io/invision/node-auth:develop-abc1@sha256:abc",
+          rules
+        )
+      ).to.be.empty;
+    });
+  });
+});
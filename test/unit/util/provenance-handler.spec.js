@@ -0,0 +1,87 @@
+"use strict";
+
+const os = require("os");
+const path = require("path");
+const fse = require("fs-extra");
+const ProvenanceHandler = require("../../../src/util/provenance-handler");
+const chai = require("chai");
+const chaiAsPromised = require("chai-as-promised");
+chai.use(chaiAsPromised);
+chai.should();
+const expect = chai.expect;
+
+describe("ProvenanceHandler", () => {
+  const files = {
+    "auth.yaml": {
+      resource: "auth",
+      content: "kind: Deployment",
+      template: "auth/auth.mustache",
+      images: ["quay.io/invision/auth:develop-abc1"],
+      branch: "develop"
+    }
+  };
+
+  it("should create an entry for every file", () => {
+    const manifest = ProvenanceHandler.create("develop-1", files, {
+      commitId: "abc1",
+      deployId: "deploy-1",
+      keep: () => false
+    });
+    expect(manifest).to.deep.equal({
+      cluster: "develop-1",
+      files: {
+        "auth.yaml": {
+          resource: "auth",
+          template: "auth/auth.mustache",
+          images: ["quay.io/invision/auth:develop-abc1"],
+          branch: "develop",
+          commitId: "abc1",
+          deployId: "deploy-1",
+          checksum: ProvenanceHandler.checksum("kind: Deployment")
+        }
+      }
+    });
+  });
+
+  it("should keep previous entries of the kept resources", () => {
+    const previous = {
+      cluster: "develop-1",
+      files: {
+        "activity.yaml": { resource: "activity", checksum: "sha256:1" },
+        "auth.yaml": { resource: "auth", checksum: "sha256:2" },
+        "old.yaml": { resource: "old", checksum: "sha256:3" }
+      }
+    };
+    const manifest = ProvenanceHandler.create("develop-1", files, {
+      previous: previous,
+      keep: resourceName => resourceName !== "old"
+    });
+    expect(Object.keys(manifest.files)).to.deep.equal([
+      "activity.yaml",
+      "auth.yaml"
+    ]);
+    expect(manifest.files["activity.yaml"].checksum).to.equal("sha256:1");
+    expect(manifest.files["auth.yaml"].checksum).to.equal(
+      ProvenanceHandler.checksum("kind: Deployment")
+    );
+  });
+
+  it("should save and load the manifest", () => {
+    const dir = fse.mkdtempSync(path.join(os.tmpdir(), "kit-provenance-"));
+    const manifest = ProvenanceHandler.create("develop-1", files, {
+      keep: () => false
+    });
+    return ProvenanceHandler.save(dir, manifest)
+      .then(() => ProvenanceHandler.load(dir))
+      .then(loaded => {
+        fse.removeSync(dir);
+        expect(loaded).to.deep.equal(manifest);
+      });
+  });
+
+  it("should load nothing without a manifest", () => {
+    return ProvenanceHandler.load(
+      path.join(os.tmpdir(), "kit-provenance-missing")
+    ).should.eventually.equal(undefined);
+  });
+});
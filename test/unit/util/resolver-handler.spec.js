@@ -0,0 +1,111 @@
+"use strict";
+
+const chai = require("chai");
+chai.use(require("chai-as-promised"));
+chai.should();
+const expect = chai.expect;
+const ResolverHandler = require("../../../src/util/resolver-handler");
+
+describe("ResolverHandler", () => {
+  const images = {
+    "invision/node-auth": {
+      develop: { image: "quay.io/invision/node-auth:develop-abc1" }
+    }
+  };
+
+  it("should resolve images from the image files by default", () => {
+    return new ResolverHandler(undefined, { images: images })
+      .resolve("invision/node-auth", "develop")
+      .should.eventually.deep.equal({
+        image: "quay.io/invision/node-auth:develop-abc1"
+      });
+  });
+
+  it("should resolve the digest from the image files", () => {
+    return new ResolverHandler("file", {
+      images: {
+        "invision/node-auth": {
+          develop: {
+            image: "quay.io/invision/node-auth:develop-abc1",
+            digest: "sha256:abc"
+          }
+        }
+      }
+    })
+      .resolve("invision/node-auth", "develop")
+      .should.eventually.deep.equal({
+        image: "quay.io/invision/node-auth:develop-abc1",
+        digest: "sha256:abc"
+      });
+  });
+
+  it("should find digests in the image files", () => {
+    const handler = new ResolverHandler("file", {
+      images: {
+        "invision/node-auth": {
+          develop: {
+            image: "quay.io/invision/node-auth:develop-abc1",
+            digest: "sha256:abc"
+          }
+        }
+      }
+    });
+    return handler
+      .digest("quay.io/invision/node-auth:develop-abc1")
+      .should.eventually.equal("sha256:abc")
+      .then(() => {
+        return handler
+          .digest("quay.io/invision/node-auth:release-abc1")
+          .should.eventually.equal(undefined);
+      });
+  });
+
+  it("should not find digests without resolver support", () => {
+    const handler = new ResolverHandler("file", { images: images });
+    handler.resolver = { resolve: () => ({}) };
+    return handler
+      .digest("quay.io/invision/node-auth:develop-abc1")
+      .should.eventually.equal(undefined);
+  });
+
+  it("should fail for images missing in the image files", () => {
+    return new ResolverHandler("file", { images: images })
+      .resolve("invision/node-auth", "master")
+      .should.be.rejectedWith(
+        "Image invision/node-auth not found for defined branch (master)"
+      );
+  });
+
+  it("should fail for unknown resolvers", () => {
+    expect(() => new ResolverHandler("unknown")).to.throw(
+      "Unknown image resolver: unknown"
+    );
+  });
+
+  it("should resolve each image once", () => {
+    let calls = 0;
+    const handler = new ResolverHandler("file", { images: images });
+    handler.resolver = {
+      resolve: () => {
+        calls++;
+        return { image: "quay.io/invision/node-auth:develop-abc1" };
+      }
+    };
+    return handler
+      .resolve("invision/node-auth", "develop")
+      .then(() => handler.resolve("invision/node-auth", "develop"))
+      .then(() => {
+        expect(calls).to.equal(1);
+      });
+  });
+
+  it("should fail if the resolver returns no image", () => {
+    const handler = new ResolverHandler("file", { images: images });
+    handler.resolver = { resolve: () => ({}) };
+    return handler
+      .resolve("invision/node-auth", "develop")
+      .should.be.rejectedWith(
+        "Image resolver file returned no image for invision/node-auth (develop)"
+      );
+  });
+});
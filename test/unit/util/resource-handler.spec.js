@@ -2,6 +2,7 @@
 
 const expect = require("chai").expect;
 const resourceHandler = require("../../../src/util/resource-handler");
+const helperHandler = require("../../../src/util/helper-handler");
 
 describe("resourceHandler", () => {
   describe("Merginging", () => {
@@ -116,6 +117,84 @@ describe("resourceHandler", () => {
     });
   });
 
+  describe("Rendering", () => {
+    const template = [
+      "name: {{{name}}}-deployment",
+      "{{#deployment.id}}",
+      "id: {{{deployment.id}}}",
+      "{{/deployment.id}}",
+      "replicas: {{{deployment.replicaCount}}}",
+      "tier: {{deployment.tier}}",
+      ""
+    ].join("\n");
+    const view = { name: "auth", deployment: { tier: null } };
+
+    it("should render missing variables as empty strings", () => {
+      expect(resourceHandler.render(template, view)).to.equal(
+        "name: auth-deployment\nreplicas: \ntier: \n"
+      );
+    });
+
+    it("should fail for missing partials", () => {
+      expect(() =>
+        resourceHandler.render("{{> probe}}", view, {
+          partials: {},
+          file: "auth.mustache"
+        })
+      ).to.throw("Partial probe not found (included in auth.mustache)");
+    });
+
+    it("should report unresolved variables in strict mode", () => {
+      expect(() =>
+        resourceHandler.render(template, view, {
+          file: "auth.mustache",
+          strict: true
+        })
+      ).to.throw(
+        "Unresolved variables:\nauth.mustache:5: deployment.replicaCount is not defined"
+      );
+    });
+
+    it("should report lines of partials and lambdas in strict mode", () => {
+      let helperView = { name: "auth" };
+      Object.assign(helperView, helperHandler.helpers(helperView));
+      const lambdaTemplate =
+        "a: 1\nb:\n{{#indent}}2 c: {{{name}}}\nd: {{> probe}}{{/indent}}";
+      expect(() =>
+        resourceHandler.render(lambdaTemplate, helperView, {
+          file: "auth.mustache",
+          partials: { probe: "{{{name}}}\n{{{probe.path}}}" },
+          strict: true
+        })
+      ).to.throw(
+        "Unresolved variables:\npartial probe:2: probe.path is not defined"
+      );
+      expect(() =>
+        resourceHandler.render(
+          lambdaTemplate.replace("name", "names"),
+          helperView,
+          {
+            file: "auth.mustache",
+            partials: { probe: "{{{name}}}" },
+            strict: true
+          }
+        )
+      ).to.throw(
+        "Unresolved variables:\nauth.mustache:3: names is not defined"
+      );
+    });
+
+    it("should render defined variables in strict mode", () => {
+      const strictView = {
+        name: "auth",
+        deployment: { tier: null, replicaCount: 2 }
+      };
+      expect(
+        resourceHandler.render(template, strictView, { strict: true })
+      ).to.equal("name: auth-deployment\nreplicas: 2\ntier: \n");
+    });
+  });
+
   describe("External ENV", () => {
     before(() => {
       process.env.EXTERNAL_ENV = "external";
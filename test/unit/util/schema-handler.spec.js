@@ -0,0 +1,167 @@
+"use strict";
+
+const expect = require("chai").expect;
+const schemaHandler = require("../../../src/util/schema-handler");
+
+describe("SchemaHandler", () => {
+  describe("validate", () => {
+    it("should accept a valid cluster", () => {
+      const cluster = {
+        kind: "ClusterNamespace",
+        metadata: { name: "example", branch: "master", type: "develop" },
+        resources: {
+          auth: {
+            svc: { name: "auth-svc", labels: [{ name: "app", value: "x" }] },
+            containers: { "auth-con": { image_tag: "invision/node-auth" } }
+          },
+          activity: { disable: true }
+        }
+      };
+      expect(schemaHandler.validate("cluster", cluster, "cluster.yaml")).to.be
+        .empty;
+    });
+
+    it("should report every error with the file and key path", () => {
+      const cluster = {
+        kind: "ClusterNamespace",
+        metadata: { name: "example", disabel: true },
+        resources: {
+          auth: {
+            disable: "yes",
+            svc: { name: "auth-svc", labels: { app: "x" } },
+            containers: { "auth-con": { env: [{ value: "x" }] } }
+          }
+        }
+      };
+      const errors = schemaHandler.validate("cluster", cluster, "cluster.yaml");
+      expect(errors).to.include(
+        "cluster.yaml: metadata.disabel is not a supported property"
+      );
+      expect(errors).to.include("cluster.yaml: metadata.type is required");
+      expect(errors).to.include(
+        "cluster.yaml: resources.auth.disable should be boolean"
+      );
+      expect(errors).to.include(
+        "cluster.yaml: resources.auth.svc.labels should be array"
+      );
+      expect(errors).to.include(
+        "cluster.yaml: resources.auth.containers.auth-con.env.0.name is required"
+      );
+      expect(errors.length).to.equal(5);
+    });
+
+    it("should report unsupported keys of resources and containers", () => {
+      const cluster = {
+        kind: "ClusterNamespace",
+        metadata: { name: "example", type: "develop" },
+        resources: {
+          auth: {
+            disabel: true,
+            deployment: { replicaCount: 2 },
+            containers: {
+              "auth-con": {
+                image: "quay.io/invision/node-auth:develop-abc1",
+                digest: "sha256:abc1",
+                image_tagg: "invision/node-auth"
+              }
+            }
+          },
+          "auth-hpa": { minReplicas: 2, maxReplicas: 4 }
+        }
+      };
+      expect(
+        schemaHandler.validate("cluster", cluster, "cluster.yaml")
+      ).to.deep.equal([
+        "cluster.yaml: resources.auth.disabel is not a supported property",
+        "cluster.yaml: resources.auth.containers.auth-con.image_tagg is not a supported property"
+      ]);
+    });
+
+    it("should accept a list of services", () => {
+      const cluster = {
+        kind: "ClusterNamespace",
+        metadata: { name: "example", type: "develop" },
+        resources: {
+          auth: {
+            svc: [
+              { name: "auth-svc" },
+              { name: "auth-internal-svc", template: "internal-svc.mustache" }
+            ]
+          }
+        }
+      };
+      expect(schemaHandler.validate("cluster", cluster, "cluster.yaml")).to.be
+        .empty;
+      cluster.resources.auth.svc.push({ template: "x.mustache" });
+      expect(
+        schemaHandler.validate("cluster", cluster, "cluster.yaml")
+      ).to.deep.equal(["cluster.yaml: resources.auth.svc.2.name is required"]);
+    });
+
+    it("should require the target of autoscalers", () => {
+      const cluster = {
+        kind: "ClusterNamespace",
+        metadata: { name: "example", type: "develop" },
+        resources: {
+          activity: { kind: "deployment" },
+          "activity-scaler": { kind: "autoscaler", target: "activity" }
+        }
+      };
+      expect(schemaHandler.validate("cluster", cluster, "cluster.yaml")).to.be
+        .empty;
+      delete cluster.resources["activity-scaler"].target;
+      expect(
+        schemaHandler.validate("cluster", cluster, "cluster.yaml")
+      ).to.deep.equal([
+        "cluster.yaml: resources.activity-scaler.target is required"
+      ]);
+    });
+
+    it("should not require a type for the base cluster", () => {
+      const base = { kind: "ClusterNamespace", metadata: { name: "base" } };
+      expect(schemaHandler.validate("base-cluster", base, "base-cluster.yaml"))
+        .to.be.empty;
+    });
+
+    it("should require the type for type files", () => {
+      const config = { kind: "ResourceConfig", metadata: {} };
+      expect(schemaHandler.validate("resource-config", config, "var.yaml")).to
+        .be.empty;
+      expect(
+        schemaHandler.validate("type-config", config, "develop-var.yaml")
+      ).to.deep.equal(["develop-var.yaml: metadata.type is required"]);
+    });
+
+    it("should check the kind", () => {
+      const config = { kind: "ClusterNamespace" };
+      expect(
+        schemaHandler.validate("resource-config", config, "var.yaml")
+      ).to.deep.equal(['var.yaml: kind should be "ResourceConfig"']);
+    });
+
+    it("should accept the kit version as a string or a number", () => {
+      const kit = {
+        base: { path: "/manifests" },
+        images: { path: "/manifests/images" },
+        type: { path: "/manifests/type" },
+        cluster: { path: "/manifests/clusters" },
+        resources: { path: "/manifests/resources" },
+        output: { path: "/generated" }
+      };
+      [2, "2"].forEach(version => {
+        kit.version = version;
+        expect(schemaHandler.validate("kit", kit, "kit.yaml", version)).to.be
+          .empty;
+      });
+    });
+
+    it("should fail for unknown versions and schemas", () => {
+      expect(() => schemaHandler.validate("image", {}, "file", "1")).to.throw(
+        "Unsupported schema version: 1"
+      );
+      expect(() => schemaHandler.validate("unknown", {}, "file")).to.throw(
+        "Unknown schema: unknown"
+      );
+    });
+  });
+});
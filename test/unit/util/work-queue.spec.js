@@ -0,0 +1,94 @@
+"use strict";
+
+const Promise = require("bluebird");
+const WorkQueue = require("../../../src/util/work-queue");
+const chai = require("chai");
+const chaiAsPromised = require("chai-as-promised");
+chai.use(chaiAsPromised);
+chai.should();
+const expect = chai.expect;
+
+describe("WorkQueue", () => {
+  function track(stats) {
+    return (item, i) => {
+      stats.running++;
+      stats.max = Math.max(stats.max, stats.running);
+      stats.started.push(item);
+      return Promise.delay(5 * (3 - i % 3)).then(() => {
+        stats.running--;
+        return item * 2;
+      });
+    };
+  }
+
+  it("should bound the number of running tasks", () => {
+    const queue = new WorkQueue(2);
+    let stats = { running: 0, max: 0, started: [] };
+    return queue.map([1, 2, 3, 4, 5], track(stats)).then(results => {
+      expect(results).to.deep.equal([2, 4, 6, 8, 10]);
+      expect(stats.max).to.equal(2);
+      expect(stats.started).to.deep.equal([1, 2, 3, 4, 5]);
+    });
+  });
+
+  it("should run tasks one at a time", () => {
+    const queue = new WorkQueue(1);
+    let stats = { running: 0, max: 0, started: [] };
+    return queue.map([1, 2, 3], track(stats)).then(results => {
+      expect(results).to.deep.equal([2, 4, 6]);
+      expect(stats.max).to.equal(1);
+    });
+  });
+
+  it("should run all tasks at once without limit", () => {
+    const queue = new WorkQueue();
+    let stats = { running: 0, max: 0, started: [] };
+    return queue.map([1, 2, 3, 4], track(stats)).then(() => {
+      expect(stats.max).to.equal(4);
+    });
+  });
+
+  it("should continue after a failed task", () => {
+    const queue = new WorkQueue(1);
+    const failed = queue.push(() => {
+      throw new Error("failed task");
+    });
+    return failed.should.be.rejectedWith("failed task").then(() => {
+      return queue.push(() => "next").should.eventually.equal("next");
+    });
+  });
+
+  it("should drop the pending tasks of a failed call", () => {
+    const queue = new WorkQueue(2);
+    let started = [];
+    let finished = [];
+    const result = queue.map([1, 2, 3, 4], item => {
+      started.push(item);
+      if (item === 1) {
+        return Promise.reject(new Error("failed task"));
+      }
+      return Promise.delay(10).then(() => finished.push(item));
+    });
+    return result.should.be.rejectedWith("failed task").then(() => {
+      expect(started).to.deep.equal([1, 2]);
+      expect(finished).to.deep.equal([2]);
+      expect(queue.pending).to.be.empty;
+      expect(queue.running).to.equal(0);
+    });
+  });
+
+  it("should keep the tasks of other calls after a failure", () => {
+    const queue = new WorkQueue(1);
+    const failed = queue.map([1, 2], item => {
+      if (item === 1) {
+        throw new Error("failed task");
+      }
+      return item;
+    });
+    const other = queue.map([3, 4], item => item * 2);
+    return Promise.all([
+      failed.should.be.rejectedWith("failed task"),
+      other.should.eventually.deep.equal([6, 8])
+    ]);
+  });
+});